@@ -4,79 +4,73 @@ const AppHooks = function() {
 
 const electron = require('electron');
 const path_mod = require('path');
-const fs = require('fs');
 
+const blorb = require('./blorb.js');
+const engines = require('./engines/registry.js');
 const fonts = require('./fonts.js');
+const themes = require('./themes.js');
+const userfonts = require('./userfonts.js');
+const replay_mod = require('./replay.js');
+
+/* The game's signature, as reported by the engine. */
+var game_signature = null;
+/* The engine key ('quixe', 'inkjs', etc) of the game. */
+var game_engine = null;
+
+/* Whether we're sending game output to the app for a transcript. */
+var transcript_on = false;
+/* Maps window IDs to window types ('buffer', 'grid', etc). */
+var transcript_wintypes = {};
+/* The hyperlinks in the most recent output, in order, as
+   { value, text }. */
+var transcript_links = [];
+
+/* The game's accept function (as wrapped by install_glkote_hooks). */
+var game_accept = null;
+/* The generation and input requests of the most recent update. */
+var game_generation = null;
+var game_inputs = [];
+
+/* The command replay in progress, or null. See replay_commands(). */
+var replay = null;
 
 function load_named_game(arg)
 {
     var path = arg.path;
+    game_engine = arg.engine;
 
-    game_options.default_page_title = path_mod.basename(path);
+    install_glkote_hooks();
+
+    /* The app may have found a title in the game file's Blorb metadata.
+       If not, we fall back to the filename. */
+    var deftitle = arg.title || path_mod.basename(path);
+    game_options.default_page_title = deftitle;
 
-    var arr = null;
-    var sigfunc = null;
     var load_options = { format:'array' };
 
-    if (arg.engine == 'quixe') {
-        var buf = fs.readFileSync(path);
-        /* Convert to a generic Array of byte values. */
-        arr = new Array(buf.length);
-        for (var ix=0; ix<buf.length; ix++)
-            arr[ix] = buf[ix];
-        sigfunc = Quixe.get_signature;
-        game_options.vm = Quixe;
-        /* Further Glulx options are set up by gi_load.js. */
-    }
-    else if (arg.engine == 'ifvms') {
-        var buf = fs.readFileSync(path);
-        /* Convert to a Uint8Array. */
-        arr = Uint8Array.from(buf);
-        /* window.engine won't exist until we call load_run, so we
-           create a function that uses it. */
-        sigfunc = function() {
-            return window.engine.get_signature();
-        };
-        game_options.engine_name = 'IFVMS';
-        game_options.blorb_gamechunk_type = 'ZCOD';
-        game_options.game_format_name = 'Z-code';
-        game_options.vm = window.engine = new window.ZVM();
-        game_options.Glk = window.Glk;
-        game_options.Dialog = window.Dialog;
-    }
-    else if (arg.engine == 'hugoem') {
-        var buf = fs.readFileSync(path);
-        /* Convert to a Uint8Array. */
-        arr = Uint8Array.from(buf);
-        /* window.engine won't exist until we call load_run, so we
-           create a function that uses it. */
-        sigfunc = function() {
-            return window.engine.get_signature();
-        };
-        game_options.engine_name = 'Hugo';
-        game_options.game_format_name = 'Hugo';
-        game_options.memdir = 'hugoem';
-        game_options.vm = window.engine = window.Hugo;
-        game_options.Glk = window.Glk;
-        game_options.GiDispa = window.GiDispa;
-    }
-    else if (arg.engine == 'inkjs') {
-        var buf = fs.readFileSync(path);
-        /* Pass the Buffer directly to the load_run function. */
-        var arr = buf;
-        sigfunc = GiLoad.get_game_signature;
-        /* Does not use gi_load.js, so no additional options needed */
-    }
-    else {
+    if (arg.ifid)
+        key_autosave_by_ifid(arg.ifid);
+
+    /* Images from the game's Blorb file, if it has any. The app only
+       sends their sizes; we read each image when it's displayed. */
+    if (arg.image_info_map)
+        game_options.image_info_map = blorb.image_info_urls(path, arg.image_info_map);
+
+    var engine = engines.get_engine(arg.engine);
+    if (!engine)
         throw(new Error('Unrecognized engine case: ' + arg.engine));
-    }
+    var res = engine.module.load(arg, game_options);
+    if (!res)
+        return;
+
+    GiLoad.load_run(game_options, res.arr, load_options);
 
-    GiLoad.load_run(game_options, arr, load_options);
+    game_signature = res.sigfunc();
 
     /* Pass some metadata back to the app */
     var obj = {
-        title: path_mod.basename(path),
-        signature: sigfunc()
+        title: deftitle,
+        signature: game_signature
     };
 
     var title = GiLoad.get_metadata('title');
@@ -86,11 +80,51 @@ function load_named_game(arg)
     electron.ipcRenderer.send('game_metadata', obj);
 }
 
+/* Store the game's autosave under its IFID, rather than the engine's
+   signature, so that it matches the game's library entry, saves, and
+   prefs. The engines all call Dialog.autosave_read/write with their
+   signature; we wrap those calls to substitute the IFID.
+
+   An autosave written under the signature (before we did this) is
+   still read if there's no IFID autosave, and is removed at the next
+   write.
+*/
+function key_autosave_by_ifid(ifid)
+{
+    var orig_read = Dialog.autosave_read;
+    var orig_write = Dialog.autosave_write;
+    var key = 'ifid_' + ifid;
+    var migrated = false;
+
+    Dialog.autosave_read = function(signature) {
+        var res = orig_read.call(Dialog, key);
+        if (!res)
+            res = orig_read.call(Dialog, signature);
+        return res;
+    };
+
+    Dialog.autosave_write = function(signature, snapshot) {
+        orig_write.call(Dialog, key, snapshot);
+        if (!migrated) {
+            migrated = true;
+            orig_write.call(Dialog, signature, null);
+        }
+    };
+}
+
 function set_clear_autosave(val)
 {
     game_options.clear_vm_autosave = val;
 }
 
+/* Turn autosave (and autorestore) off entirely. This is used for
+   headless runs, which must not disturb the player's saved game. */
+function set_autosave_enabled(val)
+{
+    if (!val)
+        game_options.do_vm_autosave = false;
+}
+
 function set_zoom_factor(val) 
 {
     var webFrame = electron.webFrame;
@@ -103,44 +137,52 @@ function set_margin_level(val)
     $('#gameport').css({'margin':str});
 }
 
+/* Set the color theme. The val is a built-in theme key ('light',
+   'sepia', etc), or a custom theme object (see themes.js).
+*/
 function set_color_theme(val)
 {
     var bodyel = $('body');
+    var custom = (val && typeof(val) == 'object') ? val : null;
 
-    bodyel.removeClass('SepiaTheme');
-    bodyel.removeClass('SlateTheme');
-    bodyel.removeClass('DarkTheme');
+    var cssclass = (custom ? 'CustomTheme' : themes.builtin_class(val));
 
-    if (search_body_el) {
-        search_body_el.removeClass('SepiaTheme');
-        search_body_el.removeClass('SlateTheme');
-        search_body_el.removeClass('DarkTheme');
-    }
+    bodyel.removeClass('SepiaTheme SlateTheme DarkTheme CustomTheme');
+    if (cssclass)
+        bodyel.addClass(cssclass);
 
-    switch (val) {
-
-    case 'sepia':
-        bodyel.addClass('SepiaTheme');
-        if (search_body_el)
-            search_body_el.addClass('SepiaTheme');
-        break;
-
-    case 'slate':
-        bodyel.addClass('SlateTheme');
-        if (search_body_el)
-            search_body_el.addClass('SlateTheme');
-        break;
-
-    case 'dark':
-        bodyel.addClass('DarkTheme');
-        if (search_body_el)
-            search_body_el.addClass('DarkTheme');
-        break;
-
-    default:
-        /* Light theme is the default. */
-        break;
+    var el = $('#themecss');
+    if (!custom) {
+        el.remove();
+    }
+    else {
+        if (!el.length) {
+            el = $('<style>', { id:'themecss', type:'text/css' });
+            $('#bodycss').before(el);
+        }
+        el.text(themes.theme_css(custom));
     }
+
+    search_theme = { cssclass:cssclass, custom:custom };
+    apply_searchbar_theme();
+}
+
+/* Apply the current color theme to the search bar. This is a separate
+   step because the search bar may not exist yet when the theme is set.
+*/
+function apply_searchbar_theme()
+{
+    if (!search_body_el || !search_theme)
+        return;
+
+    search_body_el.removeClass('SepiaTheme SlateTheme DarkTheme CustomTheme');
+    if (search_theme.cssclass)
+        search_body_el.addClass(search_theme.cssclass);
+
+    var text = '';
+    if (search_theme.custom)
+        text = themes.searchbar_css(search_theme.custom);
+    search_theme_el.text(text);
 }
 
 function set_font(obj)
@@ -170,8 +212,60 @@ function set_font(obj)
     }
 }
 
+/* Register the font files which the player has imported, so that
+   set_font() and set_typography() can use them. The list comes from
+   userfonts.scan_fonts().
+*/
+function set_user_fonts(ls)
+{
+    var el = $('#userfontcss');
+    if (!ls || !ls.length) {
+        el.remove();
+    }
+    else {
+        if (!el.length) {
+            el = $('<style>', { id:'userfontcss', type:'text/css' });
+            $('#bodycss').before(el);
+        }
+        el.text(userfonts.font_face_css(ls));
+    }
+}
+
+/* Set the typography prefs: line height, paragraph spacing, column
+   width, justification, hyphenation, and the monospace font. (See
+   get_typography_css() in fonts.js for the obj fields.)
+*/
+function set_typography(obj)
+{
+    var fontclass = '.BufferWindow';
+    if (game_options.lectrote_font_class)
+        fontclass = game_options.lectrote_font_class;
+
+    var text = fonts.get_typography_css(obj, {
+        text: fontclass,
+        line: fontclass + ' .BufferLine',
+        mono: '.Style_preformatted, .GridWindow, .GridWindow .Input'
+    });
+
+    var el = $('#typographycss');
+    if (!text) {
+        el.remove();
+    }
+    else {
+        if (!el.length) {
+            el = $('<style>', { id:'typographycss', type:'text/css' });
+            $('#bodycss').before(el);
+        }
+        el.text(text);
+    }
+}
+
 var search_input_el = null;
 var search_body_el = null;
+/* The shadow-DOM style element for a custom theme's search bar colors. */
+var search_theme_el = null;
+/* The color theme last set, as { cssclass, custom }. */
+var search_theme = null;
 
 const searchbar_styles = `
 
@@ -258,8 +352,12 @@ function construct_searchbar()
 
     var styleel = $('<style>').text(searchbar_styles);
 
+    search_theme_el = $('<style>');
+
     shadow.appendChild(styleel.get(0));
+    shadow.appendChild(search_theme_el.get(0));
     shadow.appendChild(bodyel.get(0));
+    apply_searchbar_theme();
 
     inputel.on('keypress', function(ev) {
         if (ev.keyCode == 13) {
@@ -316,14 +414,424 @@ function search_request(arg)
     }
 }
 
+/* Send the app a copy of the game's current autosave state, for the
+   save manager. The arg is passed back along with the snapshot; its
+   reason field tells the app what to do next. We always reply, even if
+   the game has no autosave (snapshot null), so that the app can go on
+   with a reset.
+*/
+function request_snapshot(arg)
+{
+    var obj = Object.assign({}, arg, { snapshot:null, turn:null, excerpt:'' });
+
+    try {
+        if (game_options.do_vm_autosave && game_signature)
+            obj.snapshot = Dialog.autosave_read(game_signature);
+        if (obj.snapshot && obj.snapshot.turn !== undefined)
+            obj.turn = obj.snapshot.turn;
+
+        /* The last few lines of story text, so that the player can tell
+           the saves apart. */
+        var lines = [];
+        $('.BufferLine').each(function() {
+            var text = $(this).text().trim();
+            if (text.length)
+                lines.push(text);
+        });
+        obj.excerpt = lines.slice(-3).join(' ');
+        if (obj.excerpt.length > 200)
+            obj.excerpt = obj.excerpt.slice(0, 200) + '\u2026';
+    }
+    catch (ex) {
+        console.log('Unable to read autosave: ' + ex);
+    }
+    finally {
+        electron.ipcRenderer.send('game_snapshot', obj);
+    }
+}
+
+/* Replace the game's autosave with a saved snapshot. The app will
+   reload the game, which then autorestores from it.
+*/
+function restore_snapshot(arg)
+{
+    Dialog.autosave_write(game_signature, arg.snapshot);
+    electron.ipcRenderer.send('snapshot_restored');
+}
+
+/* Step back one choice. Only Ink games support this; for other games
+   it does nothing. */
+function rewind_choice()
+{
+    if (window.GiLoad && GiLoad.rewind_choice)
+        GiLoad.rewind_choice();
+}
+
+/* Set the Ink presentation mode: 'plain' (show all text at once) or
+   'slow' (reveal it paragraph by paragraph). Other games ignore this. */
+function set_ink_presentation(val)
+{
+    game_options.ink_presentation = val;
+    if (window.GiLoad && GiLoad.set_presentation)
+        GiLoad.set_presentation(val);
+}
+
+/* Start or stop sending output to the app for the transcript. */
+function set_transcript_recording(val)
+{
+    transcript_on = val;
+}
+
+/* Wrap GlkOte's update and accept functions, so that we see every
+   display update and every player input. This works the same for every
+   engine, since they all display through GlkOte. We use this for
+   transcripts and command replay.
+*/
+function install_glkote_hooks()
+{
+    var orig_update = GlkOte.update;
+    GlkOte.update = function(arg) {
+        var output = null;
+        if (transcript_on || replay) {
+            try {
+                output = extract_output(arg);
+                if (transcript_on) {
+                    if (output.links.length)
+                        transcript_links = output.links;
+                    if (output.lines.length)
+                        electron.ipcRenderer.send('transcript_output', output.lines);
+                }
+            }
+            catch (ex) {
+                console.log('Transcript error: ' + ex);
+            }
+        }
+        if (arg.type == 'update') {
+            game_generation = arg.gen;
+            if (arg.input !== undefined)
+                game_inputs = arg.input || [];
+        }
+        var res = orig_update.apply(GlkOte, arguments);
+        if (replay)
+            replay_note_update(arg, output);
+        return res;
+    };
+
+    /* Let the app know about fatal errors. (Headless runs use this to
+       detect a crashed game.) */
+    var orig_error = GlkOte.error;
+    GlkOte.error = function(msg) {
+        electron.ipcRenderer.send('game_error', ''+msg);
+        return orig_error.apply(GlkOte, arguments);
+    };
+
+    var orig_init = GlkOte.init;
+    GlkOte.init = function(iface) {
+        if (iface && iface.accept) {
+            var orig_accept = iface.accept;
+            iface.accept = function(res) {
+                if (transcript_on) {
+                    try {
+                        transcript_accept(res);
+                    }
+                    catch (ex) {
+                        console.log('Transcript error: ' + ex);
+                    }
+                }
+                return orig_accept.apply(this, arguments);
+            };
+            game_accept = iface.accept;
+        }
+        return orig_init.apply(GlkOte, arguments);
+    };
+}
+
+/* Pull the text out of a GlkOte update. We only look at buffer windows;
+   grid windows are status lines, which would just be noise. (Line input
+   is echoed into the buffer window by the game, so commands appear in
+   the output too.)
+   Returns { lines, links }. Each line is { runs:[{style, text}], append };
+   links lists the hyperlinks in order, as { value, text }.
+*/
+function extract_output(arg)
+{
+    var lines = [];
+    var links = [];
+
+    if (arg.type != 'update')
+        return { lines:lines, links:links };
+
+    if (arg.windows) {
+        transcript_wintypes = {};
+        for (var ix=0; ix<arg.windows.length; ix++)
+            transcript_wintypes[arg.windows[ix].id] = arg.windows[ix].type;
+    }
+
+    var contents = arg.content || [];
+    for (var ix=0; ix<contents.length; ix++) {
+        var content = contents[ix];
+        if (transcript_wintypes[content.id] != 'buffer' || !content.text)
+            continue;
+        for (var jx=0; jx<content.text.length; jx++) {
+            var line = content.text[jx];
+            var runs = [];
+            var ls = line.content || [];
+            for (var kx=0; kx<ls.length; kx++) {
+                var item = ls[kx];
+                if (typeof(item) == 'string') {
+                    kx++;
+                    runs.push({ style:item, text:ls[kx] });
+                }
+                else if (item.special) {
+                    if (item.special == 'image')
+                        runs.push({ style:'note', text:'[Image' + (item.alttext ? (': ' + item.alttext) : '') + ']' });
+                }
+                else {
+                    runs.push({ style:(item.style || 'normal'), text:item.text });
+                    if (item.hyperlink !== undefined)
+                        links.push({ value:item.hyperlink, text:item.text });
+                }
+            }
+            lines.push({ runs:runs, append:!!line.append });
+        }
+    }
+
+    return { lines:lines, links:links };
+}
+
+/* Record player input which the game doesn't echo: hyperlink choices,
+   and Ink's keyboard shortcuts for them (1-9, then A-Z). Other games
+   may use those keys for anything, so the shortcuts only count for
+   Ink. */
+function transcript_accept(res)
+{
+    var text = null;
+
+    if (res.type == 'hyperlink') {
+        for (var ix=0; ix<transcript_links.length; ix++) {
+            if (transcript_links[ix].value == res.value)
+                text = transcript_links[ix].text;
+        }
+    }
+    else if (res.type == 'char' && game_engine == 'inkjs' && transcript_links.length && res.value.length == 1) {
+        var val = res.value.toUpperCase().charCodeAt(0);
+        var index = -1;
+        if (val >= 49 && val <= 57)
+            index = val - 49;
+        else if (val >= 65 && val <= 90)
+            index = (val - 65) + 9;
+        if (index >= 0 && index < transcript_links.length)
+            text = transcript_links[index].text;
+    }
+
+    if (text !== null) {
+        electron.ipcRenderer.send('transcript_output', [
+            { runs:[ { style:'input', text:'> ' + text } ], append:false }
+        ]);
+        transcript_links = [];
+    }
+}
+
+/* Run a command replay script. The arg contains the script text and
+   filename. Each command waits until the game is ready for input; the
+   results are sent back to the app when the script is done.
+*/
+function replay_commands(arg)
+{
+    if (replay)
+        return;
+    if (!game_accept) {
+        electron.ipcRenderer.send('replay_report', { name:arg.name, error:'The game is not running.' });
+        return;
+    }
+
+    var steps;
+    try {
+        steps = replay_mod.parse_script(arg.text);
+    }
+    catch (ex) {
+        electron.ipcRenderer.send('replay_report', { name:arg.name, error:ex.message, badscript:true });
+        return;
+    }
+
+    replay = {
+        name: arg.name,
+        steps: steps,
+        pos: 0,
+        output: '',
+        commands: 0,
+        expects: 0,
+        failures: [],
+        waiting: false,
+        ended: false
+    };
+
+    /* Gradual reveal would eat the commands as keystrokes. */
+    if (window.GiLoad && GiLoad.set_presentation)
+        GiLoad.set_presentation('plain');
+
+    /* If the game hasn't started yet, wait until it asks for input. */
+    if (game_inputs.length)
+        setTimeout(replay_step, 0);
+    else
+        replay.waiting = true;
+}
+
+/* Called after every display update while a replay is running. We
+   collect the output for @expect lines, and go on to the next command
+   once the game asks for input.
+*/
+function replay_note_update(arg, output)
+{
+    if (output) {
+        for (var ix=0; ix<output.lines.length; ix++) {
+            var line = output.lines[ix];
+            if (!line.append)
+                replay.output += '\n';
+            for (var jx=0; jx<line.runs.length; jx++)
+                replay.output += line.runs[jx].text;
+        }
+    }
+
+    if (arg.disable)
+        replay.ended = true;
+
+    if (replay.waiting && (replay.ended || game_inputs.length)) {
+        replay.waiting = false;
+        setTimeout(replay_step, 0);
+    }
+}
+
+/* Run steps until we send a command (and have to wait for the game's
+   response), reach a pause, or finish the script. */
+function replay_step()
+{
+    if (!replay)
+        return;
+
+    while (replay.pos < replay.steps.length) {
+        var step = replay.steps[replay.pos];
+
+        if (step.type == 'expect') {
+            replay.pos++;
+            replay.expects++;
+            if (!replay_mod.check_expect(step, replay.output)) {
+                replay.failures.push({ line:step.line, source:step.source, negate:step.negate, output:replay.output });
+            }
+            continue;
+        }
+
+        if (replay.ended)
+            break;
+
+        if (step.type == 'pause') {
+            replay.pos++;
+            setTimeout(replay_step, step.ms);
+            return;
+        }
+
+        if (step.type == 'command') {
+            if (!game_inputs.length) {
+                replay.waiting = true;
+                return;
+            }
+            replay.pos++;
+            replay.commands++;
+            replay.output = '';
+            replay.waiting = true;
+            replay_send_input(step.text);
+            return;
+        }
+    }
+
+    replay_finish();
+}
+
+/* Send a command to the game as player input. If the game wants a line,
+   we send the whole command; if it wants a keystroke, we send the first
+   character (or a special key name, like "return" or "space").
+*/
+function replay_send_input(text)
+{
+    var lineinput = null;
+    var charinput = null;
+    for (var ix=0; ix<game_inputs.length; ix++) {
+        if (game_inputs[ix].type == 'line' && !lineinput)
+            lineinput = game_inputs[ix];
+        if (game_inputs[ix].type == 'char' && !charinput)
+            charinput = game_inputs[ix];
+    }
+
+    if (lineinput) {
+        game_accept({ type:'line', gen:game_generation, window:lineinput.id, value:text });
+    }
+    else if (charinput) {
+        var val = text;
+        if (val.toLowerCase() == 'space')
+            val = ' ';
+        else if (replay_special_keys.indexOf(val.toLowerCase()) >= 0)
+            val = val.toLowerCase();
+        else
+            val = val.charAt(0);
+        game_accept({ type:'char', gen:game_generation, window:charinput.id, value:val });
+    }
+}
+
+/* Glk's names for special keys, which a script can send as commands
+   when the game wants a keystroke. */
+const replay_special_keys = [
+    'return', 'escape', 'left', 'right', 'up', 'down', 'delete',
+    'tab', 'pageup', 'pagedown', 'home', 'end'
+];
+
+function replay_finish()
+{
+    var unfinished = 0;
+    for (var ix=replay.pos; ix<replay.steps.length; ix++) {
+        if (replay.steps[ix].type != 'expect')
+            unfinished++;
+    }
+
+    var results = {
+        name: replay.name,
+        commands: replay.commands,
+        expects: replay.expects,
+        failures: replay.failures,
+        unfinished: unfinished
+    };
+    replay = null;
+
+    if (window.GiLoad && GiLoad.set_presentation && game_options.ink_presentation)
+        GiLoad.set_presentation(game_options.ink_presentation);
+
+    electron.ipcRenderer.send('replay_report', results);
+}
+
+/* Show or hide the Ink debug panel. Only inkplay.html has one. */
+function toggle_ink_debug()
+{
+    if (window.InkDebug)
+        InkDebug.toggle();
+}
+
 const namespace = {
     load_named_game : load_named_game,
     set_clear_autosave : set_clear_autosave,
+    set_autosave_enabled : set_autosave_enabled,
     set_zoom_factor : set_zoom_factor,
     set_margin_level : set_margin_level,
     set_color_theme : set_color_theme,
     set_font : set_font,
-    search_request : search_request
+    set_user_fonts : set_user_fonts,
+    set_typography : set_typography,
+    set_ink_presentation : set_ink_presentation,
+    set_transcript_recording : set_transcript_recording,
+    replay_commands : replay_commands,
+    search_request : search_request,
+    request_snapshot : request_snapshot,
+    restore_snapshot : restore_snapshot,
+    rewind_choice : rewind_choice,
+    toggle_ink_debug : toggle_ink_debug
 };
 
 /* We hook up the namespace to IPC events, so that the main process can
@@ -333,13 +841,38 @@ const namespace = {
 function attach(name, func)
 { 
     require('electron').ipcRenderer.on(name, function(ev, arg) {
-        func(arg);
+        try {
+            func(arg);
+        }
+        catch (ex) {
+            report_error(ex);
+            throw ex;
+        }
     });
 }
 for (var name in namespace) {
     attach(name, namespace[name]);
 }
 
+/* Let the app know about exceptions which nothing else caught. (A
+   headless run would otherwise wait for its timeout.) We only report
+   the first, since one failure can set off others. */
+var error_reported = false;
+function report_error(ex)
+{
+    if (error_reported)
+        return;
+    error_reported = true;
+    electron.ipcRenderer.send('game_error', ''+ex);
+}
+
+window.addEventListener('error', function(ev) {
+    report_error(ev.error || ev.message);
+});
+window.addEventListener('unhandledrejection', function(ev) {
+    report_error(ev.reason);
+});
+
 $(document).ready(function() {
     construct_searchbar();
 });
@@ -0,0 +1,451 @@
+'use strict';
+
+/* Blorb file parsing. This reads the chunk index, resource index, and
+   metadata of a Blorb file, without loading the (possibly large) image
+   and sound chunks into memory. This module is used by the main process
+   and by renderer windows, so it should stick to plain Node modules.
+
+   The Blorb spec: http://eblong.com/zarf/blorb/blorb.html
+*/
+
+const fs = require('fs');
+
+/* Chunk types which contain executable game code. Ink has no registered
+   chunk type; we accept Ink JSON in a 'JSON' chunk or a generic 'EXEC'
+   chunk. */
+const exec_chunk_types = [
+    'ZCOD', 'GLUL', 'TAD2', 'TAD3', 'HUGO', 'ALAN', 'ADRI', 'LEVE',
+    'AGT ', 'MAGS', 'ADVS', 'EXEC', 'JSON'
+];
+
+/* Chunk types which contain images, and the MIME types they map to. */
+const image_chunk_types = {
+    'PNG ': 'image/png',
+    'JPEG': 'image/jpeg'
+};
+
+/* Given the first twelve (or more) bytes of a file, return whether it
+   is a Blorb file. */
+function is_blorb(buf)
+{
+    return (buf.length >= 12
+        && buf[0] == 0x46 && buf[1] == 0x4F && buf[2] == 0x52 && buf[3] == 0x4D
+        && buf[8] == 0x49 && buf[9] == 0x46 && buf[10] == 0x52 && buf[11] == 0x53);
+}
+
+/* Given the first bytes of a file (or chunk), return whether it looks
+   like Ink JSON. Ink is a text format, which is harder to check. We
+   skip whitespace and non-ASCII characters and look for '{"ink'. */
+function is_ink_json(buf)
+{
+    var checkascii = [ 0x7B, 0x22, 0x69, 0x6E, 0x6B ];
+    var pos = 0;
+    for (var ix=0; ix<buf.length; ix++) {
+        var ch = buf[ix];
+        if (!(ch > 32 && ch < 127))
+            continue;
+        if (ch != checkascii[pos]) 
+            return false;
+        pos++;
+        if (pos >= checkascii.length)
+            return true;
+    }
+    return false;
+}
+
+/* Given the pathname of a Blorb file, index its contents. Returns null
+   if the file is not Blorb at all. Throws an exception if the file is
+   unreadable.
+
+   The result object contains:
+     chunks: list of { type, pos, len } (pos is the offset of the chunk
+       data, after the eight-byte header)
+     resources: list of { usage, num, chunk } from the resource index
+       (usage is 'Pict', 'Snd ', 'Data', or 'Exec')
+     gamechunk: type of the executable chunk ('GLUL', 'ZCOD', etc), or null
+     execchunk: the executable chunk, or null
+     metadata: fields from the iFiction record (title, author, headline,
+       firstpublished, description, etc), or an empty object
+     ifid: the IFID from the iFiction record, or null
+     frontispiece: the cover image resource number, or null
+     cover: the cover image chunk, or null
+     author, annotation, copyright: contents of the AUTH, ANNO, and (c)
+       chunks, or null
+*/
+function parse_blorb(path)
+{
+    var fd = fs.openSync(path, 'r');
+    try {
+        return parse_blorb_fd(fd);
+    }
+    finally {
+        fs.closeSync(fd);
+    }
+}
+
+function parse_blorb_fd(fd)
+{
+    var buf = new Buffer(12);
+
+    var len = fs.readSync(fd, buf, 0, 12, 0);
+    if (len < 12 || !is_blorb(buf)) {
+        /* not Blorb at all. */
+        return null;
+    }
+
+    var res = {
+        chunks: [],
+        resources: [],
+        gamechunk: null,
+        execchunk: null,
+        metadata: {},
+        ifid: null,
+        frontispiece: null,
+        cover: null,
+        author: null,
+        annotation: null,
+        copyright: null
+    };
+
+    var filelen = buf.readUInt32BE(4) + 8;
+    var pos = 12;
+    var chunkmap = {}; /* maps chunk header position to chunk */
+
+    while (pos+8 <= filelen) {
+        len = fs.readSync(fd, buf, 0, 8, pos);
+        if (len < 8)
+            break;
+        var chunk = {
+            type: buf.toString('latin1', 0, 4),
+            pos: pos+8,
+            len: buf.readUInt32BE(4)
+        };
+        res.chunks.push(chunk);
+        chunkmap[pos] = chunk;
+        pos += 8 + chunk.len;
+        if (pos & 1)
+            pos++;
+    }
+
+    for (var ix=0; ix<res.chunks.length; ix++) {
+        var chunk = res.chunks[ix];
+        switch (chunk.type) {
+
+        case 'RIdx':
+            var dat = read_chunk_fd(fd, chunk);
+            var count = dat.readUInt32BE(0);
+            for (var jx=0; jx<count && 4+12*jx+12 <= dat.length; jx++) {
+                var entry = 4+12*jx;
+                var start = dat.readUInt32BE(entry+8);
+                if (!chunkmap[start])
+                    continue;
+                res.resources.push({
+                    usage: dat.toString('latin1', entry, entry+4),
+                    num: dat.readUInt32BE(entry+4),
+                    chunk: chunkmap[start]
+                });
+            }
+            break;
+
+        case 'IFmd':
+            var xml = read_chunk_fd(fd, chunk).toString('utf8');
+            var obj = parse_ifiction(xml);
+            res.metadata = obj.metadata;
+            res.ifid = obj.ifid;
+            break;
+
+        case 'Fspc':
+            var dat = read_chunk_fd(fd, chunk);
+            if (dat.length >= 4)
+                res.frontispiece = dat.readUInt32BE(0);
+            break;
+
+        case 'AUTH':
+            res.author = read_chunk_fd(fd, chunk).toString('latin1');
+            break;
+
+        case 'ANNO':
+            res.annotation = read_chunk_fd(fd, chunk).toString('latin1');
+            break;
+
+        case '(c) ':
+            res.copyright = read_chunk_fd(fd, chunk).toString('latin1');
+            break;
+        }
+    }
+
+    /* The game chunk is Exec resource zero. If there's no resource
+       index, we fall back to the first executable chunk we see. */
+    var execres = find_resource(res, 'Exec', 0);
+    if (execres) {
+        res.execchunk = execres.chunk;
+        res.gamechunk = execres.chunk.type;
+    }
+    else {
+        for (var ix=0; ix<res.chunks.length; ix++) {
+            if (exec_chunk_types.indexOf(res.chunks[ix].type) >= 0) {
+                res.execchunk = res.chunks[ix];
+                res.gamechunk = res.chunks[ix].type;
+                break;
+            }
+        }
+    }
+
+    /* The cover image is the one named by the frontispiece chunk. If
+       there's no such chunk, the spec says Pict 1 is a reasonable guess,
+       but only if the iFiction record claims to have cover art. We
+       don't try to guess. */
+    if (res.frontispiece !== null) {
+        var pictres = find_resource(res, 'Pict', res.frontispiece);
+        if (pictres && image_chunk_types[pictres.chunk.type])
+            res.cover = pictres.chunk;
+    }
+
+    /* Fill in the author from the AUTH chunk if the iFiction record
+       didn't have one. */
+    if (!res.metadata.author && res.author)
+        res.metadata.author = res.author;
+
+    return res;
+}
+
+/* Look up a resource by usage and number. Returns the resource entry,
+   or null. */
+function find_resource(blorb, usage, num)
+{
+    for (var ix=0; ix<blorb.resources.length; ix++) {
+        var resource = blorb.resources[ix];
+        if (resource.usage == usage && resource.num == num)
+            return resource;
+    }
+    return null;
+}
+
+function read_chunk_fd(fd, chunk)
+{
+    var buf = new Buffer(chunk.len);
+    fs.readSync(fd, buf, 0, chunk.len, chunk.pos);
+    return buf;
+}
+
+/* Read the data of a chunk (as returned by parse_blorb) from the file.
+   Returns a Buffer. */
+function read_chunk(path, chunk)
+{
+    var fd = fs.openSync(path, 'r');
+    try {
+        return read_chunk_fd(fd, chunk);
+    }
+    finally {
+        fs.closeSync(fd);
+    }
+}
+
+/* Return whether the executable chunk of a Blorb file (as returned by
+   parse_blorb) contains Ink JSON. Only the start of the chunk is read. */
+function is_ink_chunk(path, blorb)
+{
+    var chunk = blorb.execchunk;
+    if (!chunk || (chunk.type != 'JSON' && chunk.type != 'EXEC'))
+        return false;
+    var head = { type:chunk.type, pos:chunk.pos, len:Math.min(chunk.len, 32) };
+    return is_ink_json(read_chunk(path, head));
+}
+
+/* Return the cover image of a Blorb file as a data: URL, or null if
+   there isn't one. Errors are swallowed, since a missing cover is
+   never fatal. */
+function cover_image_url(path)
+{
+    try {
+        var blorb = parse_blorb(path);
+        if (!blorb || !blorb.cover)
+            return null;
+        var dat = read_chunk(path, blorb.cover);
+        var mimetype = image_chunk_types[blorb.cover.type];
+        return 'data:' + mimetype + ';base64,' + dat.toString('base64');
+    }
+    catch (ex) {
+        return null;
+    }
+}
+
+/* Build the table of images in a Blorb file, in the form that
+   gi_load.js accepts as its image_info_map option: an object mapping
+   image numbers to { image, type, width, height }. We only read enough
+   of each image to find its size. The entries also record where the
+   image data is (chunktype, chunkpos, chunklen); the game window calls
+   image_info_urls() to load it when it's needed. Images in formats we
+   don't recognize are skipped. Errors are swallowed; a game with
+   missing images is still playable.
+*/
+function image_info_map(path)
+{
+    var map = {};
+    try {
+        var fd = fs.openSync(path, 'r');
+        try {
+            var blorb = parse_blorb_fd(fd);
+            if (!blorb)
+                return map;
+            for (var ix=0; ix<blorb.resources.length; ix++) {
+                var resource = blorb.resources[ix];
+                var chunk = resource.chunk;
+                if (resource.usage != 'Pict' || !image_chunk_types[chunk.type])
+                    continue;
+                /* The size is near the start of a PNG. A JPEG may have
+                   large metadata segments first, in which case we read
+                   the whole thing. */
+                var head = { type:chunk.type, pos:chunk.pos, len:Math.min(chunk.len, 0x10000) };
+                var size = image_size(read_chunk_fd(fd, head), chunk.type);
+                if (!size && head.len < chunk.len)
+                    size = image_size(read_chunk_fd(fd, chunk), chunk.type);
+                if (!size)
+                    continue;
+                map[resource.num] = {
+                    image: resource.num,
+                    type: (chunk.type == 'PNG ') ? 'png' : 'jpeg',
+                    width: size.width,
+                    height: size.height,
+                    chunktype: chunk.type,
+                    chunkpos: chunk.pos,
+                    chunklen: chunk.len
+                };
+            }
+        }
+        finally {
+            fs.closeSync(fd);
+        }
+    }
+    catch (ex) {}
+    return map;
+}
+
+/* Add a url field to each entry of an image_info_map table. This is
+   called in the game window. Each image is read from the Blorb file the
+   first time its url is asked for, and becomes a blob: URL. If the
+   image can't be read, its url is undefined.
+*/
+function image_info_urls(path, map)
+{
+    Object.keys(map).forEach(function(key) {
+        var info = map[key];
+        var url = null;
+        Object.defineProperty(info, 'url', {
+            enumerable: true,
+            get: function() {
+                if (url === null) {
+                    try {
+                        var chunk = { type:info.chunktype, pos:info.chunkpos, len:info.chunklen };
+                        var dat = read_chunk(path, chunk);
+                        url = URL.createObjectURL(new Blob([dat], { type:image_chunk_types[chunk.type] }));
+                    }
+                    catch (ex) {
+                        return undefined;
+                    }
+                }
+                return url;
+            }
+        });
+    });
+    return map;
+}
+
+/* Read the dimensions of a PNG or JPEG image. Returns { width, height },
+   or null if the data doesn't make sense. */
+function image_size(dat, type)
+{
+    if (type == 'PNG ') {
+        /* The IHDR chunk comes first, after the eight-byte signature. */
+        if (dat.length < 24 || dat.toString('latin1', 12, 16) != 'IHDR')
+            return null;
+        return { width: dat.readUInt32BE(16), height: dat.readUInt32BE(20) };
+    }
+
+    if (type == 'JPEG') {
+        /* Walk the markers until we reach a start-of-frame. */
+        var pos = 2;
+        while (pos+9 <= dat.length) {
+            if (dat[pos] != 0xFF)
+                return null;
+            var marker = dat[pos+1];
+            if (marker >= 0xC0 && marker <= 0xCF
+                && marker != 0xC4 && marker != 0xC8 && marker != 0xCC) {
+                return { width: dat.readUInt16BE(pos+7), height: dat.readUInt16BE(pos+5) };
+            }
+            pos += 2 + dat.readUInt16BE(pos+2);
+        }
+        return null;
+    }
+
+    return null;
+}
+
+/* Pull the interesting fields out of an iFiction XML record. This is not
+   a real XML parser; it only looks at the first <story> element, and
+   only at the simple text fields in <identification> and <bibliographic>.
+   Returns { ifid, metadata }.
+*/
+function parse_ifiction(xml)
+{
+    var res = { ifid:null, metadata:{} };
+
+    var match = xml.match(/<story>([\s\S]*?)<\/story>/);
+    if (!match)
+        return res;
+    var story = match[1];
+
+    match = story.match(/<identification>([\s\S]*?)<\/identification>/);
+    if (match) {
+        var ifidmatch = match[1].match(/<ifid>([\s\S]*?)<\/ifid>/);
+        if (ifidmatch)
+            res.ifid = xml_text(ifidmatch[1]).toUpperCase();
+    }
+
+    match = story.match(/<bibliographic>([\s\S]*?)<\/bibliographic>/);
+    if (match) {
+        var pattern = /<([a-zA-Z]+)>([\s\S]*?)<\/\1>/g;
+        var field;
+        while ((field = pattern.exec(match[1])) !== null) {
+            res.metadata[field[1]] = xml_text(field[2]);
+        }
+    }
+
+    return res;
+}
+
+/* Convert a numeric character reference to a string. Code points which
+   XML doesn't allow (including lone surrogates) are dropped. */
+function char_ref(val)
+{
+    if (!(val > 0 && val <= 0x10FFFF) || (val >= 0xD800 && val <= 0xDFFF))
+        return '';
+    return String.fromCodePoint(val);
+}
+
+/* Convert XML element content to plain text. The only markup iFiction
+   allows in these fields is <br/>. */
+function xml_text(val)
+{
+    val = val.replace(/<br\s*\/?>/g, '\n');
+    val = val.replace(/<[^>]*>/g, '');
+    val = val.replace(/&#x([0-9a-fA-F]+);/g, (str, hex) => char_ref(parseInt(hex, 16)));
+    val = val.replace(/&#([0-9]+);/g, (str, dec) => char_ref(parseInt(dec, 10)));
+    val = val.replace(/&lt;/g, '<');
+    val = val.replace(/&gt;/g, '>');
+    val = val.replace(/&quot;/g, '"');
+    val = val.replace(/&apos;/g, "'");
+    val = val.replace(/&amp;/g, '&');
+    return val.replace(/[ \t\r]+/g, ' ').trim();
+}
+
+exports.is_blorb = is_blorb;
+exports.is_ink_json = is_ink_json;
+exports.is_ink_chunk = is_ink_chunk;
+exports.parse_blorb = parse_blorb;
+exports.find_resource = find_resource;
+exports.read_chunk = read_chunk;
+exports.cover_image_url = cover_image_url;
+exports.image_info_map = image_info_map;
+exports.image_info_urls = image_info_urls;
+exports.parse_ifiction = parse_ifiction;
@@ -12,6 +12,17 @@ then
   PREFIX="$LIB/lectrote";
 fi
 
+# A headless run (for automated testing) stays in the foreground, so
+# that the caller gets its exit status. Otherwise we launch the app and
+# return immediately.
+
+for arg in "$@"; do
+  if /bin/test "$arg" "=" "--headless";
+  then
+    exec $PREFIX/node_modules/.bin/electron $PREFIX/main.js "$@"
+  fi
+done
+
 $PREFIX/node_modules/.bin/electron $PREFIX/main.js "$@" &
 
 
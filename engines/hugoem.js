@@ -0,0 +1,86 @@
+'use strict';
+
+/* The emglken build of the Hugo engine. */
+
+const fs = require('fs');
+
+/* Hugo files have no magic number, so we check that the header is
+   consistent: a plausible version number, a printable serial code,
+   and table addresses that fall within the file.
+*/
+function is_hugo_header(buf, filelen)
+{
+    if (buf.length < 0x19)
+        return false;
+
+    /* Tab, newline, carriage return, and space mean a text file (such
+       as Ink JSON), not Hugo. */
+    var version = buf[0];
+    if (version == 0x09 || version == 0x0A || version == 0x0D || version == 0x20)
+        return false;
+
+    /* The version byte is ten times the major version plus the minor
+       version (so 31 for Hugo 3.1). */
+    if (version < 10 || version > 39)
+        return false;
+
+    /* The serial code (bytes 3-10) is eight printable characters,
+       usually a date. */
+    for (var ix=3; ix<=10; ix++) {
+        if (buf[ix] < 32 || buf[ix] > 126)
+            return false;
+    }
+
+    /* The code start and table addresses (0x0B-0x17) are little-endian
+       words, in units of the address scale. */
+    var scale = (version >= 25) ? 16 : 4;
+    for (var pos=0x0B; pos<=0x17; pos+=2) {
+        var addr = buf.readUInt16LE(pos) * scale;
+        if (addr == 0 || addr >= filelen)
+            return false;
+    }
+
+    return true;
+}
+
+function detect(buf, filelen, path)
+{
+    if (is_hugo_header(buf, filelen))
+        return 'Hugo';
+    /* A .hex file is taken to be Hugo even if the header looks odd, as
+       Lectrote always has. */
+    if (path && path.match(/[.]hex$/i))
+        return 'Hugo';
+    return null;
+}
+
+function detect_blorb(info, path)
+{
+    if (info.gamechunk == 'HUGO')
+        return 'Hugo';
+    return null;
+}
+
+function load(arg, game_options)
+{
+    var buf = fs.readFileSync(arg.path);
+    /* Convert to a Uint8Array. */
+    var arr = Uint8Array.from(buf);
+    /* window.engine won't exist until we call load_run, so we
+       create a function that uses it. */
+    var sigfunc = function() {
+        return window.engine.get_signature();
+    };
+    game_options.engine_name = 'Hugo';
+    game_options.blorb_gamechunk_type = 'HUGO';
+    game_options.game_format_name = 'Hugo';
+    game_options.memdir = 'hugoem';
+    game_options.vm = window.engine = window.Hugo;
+    game_options.Glk = window.Glk;
+    game_options.GiDispa = window.GiDispa;
+    return { arr:arr, sigfunc:sigfunc };
+}
+
+exports.detect = detect;
+exports.detect_blorb = detect_blorb;
+exports.load = load;
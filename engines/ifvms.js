@@ -0,0 +1,44 @@
+'use strict';
+
+/* The IFVMS engine (ZVM), for Z-code games. */
+
+const fs = require('fs');
+
+function detect(buf, filelen)
+{
+    /* Z-code has no magic number, so this is a guess. It comes after
+       the engines with stricter checks. */
+    if (buf[0] >= 3 && buf[0] <= 8)
+        return 'Z-code';
+    return null;
+}
+
+function detect_blorb(info, path)
+{
+    if (info.gamechunk == 'ZCOD')
+        return 'Z-code';
+    return null;
+}
+
+function load(arg, game_options)
+{
+    var buf = fs.readFileSync(arg.path);
+    /* Convert to a Uint8Array. */
+    var arr = Uint8Array.from(buf);
+    /* window.engine won't exist until we call load_run, so we
+       create a function that uses it. */
+    var sigfunc = function() {
+        return window.engine.get_signature();
+    };
+    game_options.engine_name = 'IFVMS';
+    game_options.blorb_gamechunk_type = 'ZCOD';
+    game_options.game_format_name = 'Z-code';
+    game_options.vm = window.engine = new window.ZVM();
+    game_options.Glk = window.Glk;
+    game_options.Dialog = window.Dialog;
+    return { arr:arr, sigfunc:sigfunc };
+}
+
+exports.detect = detect;
+exports.detect_blorb = detect_blorb;
+exports.load = load;
@@ -0,0 +1,45 @@
+'use strict';
+
+/* The inkjs engine, for Ink stories. This does not use gi_load.js;
+   inkplay.js supplies its own GiLoad. */
+
+const fs = require('fs');
+
+const blorb = require('../blorb.js');
+
+function detect(buf, filelen)
+{
+    if (blorb.is_ink_json(buf))
+        return 'Ink';
+    return null;
+}
+
+function detect_blorb(info, path)
+{
+    if (blorb.is_ink_chunk(path, info))
+        return 'Ink';
+    return null;
+}
+
+function load(arg, game_options)
+{
+    var path = arg.path;
+    game_options.ink_game_path = path;
+    game_options.ink_extension = arg.inkext || null;
+    game_options.ink_store_dir = arg.inkstore || null;
+    game_options.ink_history_dir = arg.inkhistory || null;
+    var buf = fs.readFileSync(path);
+    if (blorb.is_blorb(buf)) {
+        /* The Ink JSON is the Blorb's executable chunk. */
+        var info = blorb.parse_blorb(path);
+        if (!info || !info.execchunk)
+            throw(new Error('No Ink story found in Blorb file.'));
+        buf = blorb.read_chunk(path, info.execchunk);
+    }
+    /* Pass the Buffer directly to the load_run function. */
+    return { arr:buf, sigfunc:GiLoad.get_game_signature };
+}
+
+exports.detect = detect;
+exports.detect_blorb = detect_blorb;
+exports.load = load;
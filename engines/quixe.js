@@ -0,0 +1,38 @@
+'use strict';
+
+/* The Quixe engine, for Glulx games. */
+
+const fs = require('fs');
+
+const glksound = require('../glksound.js');
+
+function detect(buf, filelen)
+{
+    if (buf[0] == 0x47 && buf[1] == 0x6C && buf[2] == 0x75 && buf[3] == 0x6C)
+        return 'Glulx';
+    return null;
+}
+
+function detect_blorb(info, path)
+{
+    if (info.gamechunk == 'GLUL')
+        return 'Glulx';
+    return null;
+}
+
+function load(arg, game_options)
+{
+    var buf = fs.readFileSync(arg.path);
+    /* Convert to a generic Array of byte values. */
+    var arr = new Array(buf.length);
+    for (var ix=0; ix<buf.length; ix++)
+        arr[ix] = buf[ix];
+    game_options.vm = Quixe;
+    /* Further Glulx options are set up by gi_load.js. */
+    glksound.install(Glk, GiDispa, Quixe, arg.path);
+    return { arr:arr, sigfunc:Quixe.get_signature };
+}
+
+exports.detect = detect;
+exports.detect_blorb = detect_blorb;
+exports.load = load;
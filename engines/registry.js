@@ -0,0 +1,143 @@
+'use strict';
+
+/* The engine registry. Each engine is described by a pair of files in
+   this directory:
+
+     <engine>.json: the static description, which makedist.py also reads:
+       engine: the engine name (matching the filename)
+       order: detection order (lower numbers are checked first)
+       basehtml: the play page
+       docicon: the Windows window icon for games of this engine
+       filters: file-dialog filters, as { name, extensions }
+       appfiles: files that the engine needs in a packaged app
+
+     <engine>.js: a module which exports:
+       detect(buf, filelen, path): given the first 32 bytes of a file,
+         its length, and its pathname, return the format name ('Glulx',
+         etc) if this engine plays it, or null.
+       detect_blorb(info, path): the same, given a parsed Blorb file
+         (see blorb.js).
+       load(arg, game_options): called in the play window to set up
+         game_options for the engine. Returns { arr, sigfunc } for
+         GiLoad.load_run(), or null if it has reported an error.
+
+   A bound game may limit the engines it uses with a "lectroteEngines"
+   list in package.json. makedist.py then packages only those engines.
+
+   This module is used by the main process and by play windows.
+*/
+
+const fs = require('fs');
+const path_mod = require('path');
+
+const blorb = require('../blorb.js');
+
+/* The list of engines, in detection order. Each entry is the manifest
+   object, with the module attached as "module". */
+var engines = null;
+
+function load_engines()
+{
+    if (engines)
+        return engines;
+
+    var enabled = require('../package.json').lectroteEngines || null;
+
+    engines = [];
+    var ls = fs.readdirSync(__dirname);
+    for (var ix=0; ix<ls.length; ix++) {
+        var filename = ls[ix];
+        if (path_mod.extname(filename) != '.json')
+            continue;
+        var manifest = JSON.parse(fs.readFileSync(path_mod.join(__dirname, filename), 'utf8'));
+        if (enabled && enabled.indexOf(manifest.engine) < 0)
+            continue;
+        manifest.module = require(path_mod.join(__dirname, manifest.engine+'.js'));
+        engines.push(manifest);
+    }
+
+    engines.sort((a, b) => (a.order - b.order));
+    return engines;
+}
+
+/* Return the engine with the given name, or null. */
+function get_engine(name)
+{
+    var ls = load_engines();
+    for (var ix=0; ix<ls.length; ix++) {
+        if (ls[ix].engine == name)
+            return ls[ix];
+    }
+    return null;
+}
+
+/* Figure out which engine plays a game file. Returns
+   { engine, format, basehtml, docicon, blorb } (blorb is the parsed
+   Blorb data, or undefined), or null if the file isn't recognized.
+   Throws an exception if the file is unreadable.
+*/
+function discriminate(path)
+{
+    var fd = fs.openSync(path, 'r');
+    var buf = new Buffer(32);
+    var len, filelen;
+    try {
+        len = fs.readSync(fd, buf, 0, 32, 0);
+        filelen = fs.fstatSync(fd).size;
+    }
+    finally {
+        fs.closeSync(fd);
+    }
+    buf = buf.slice(0, len);
+
+    var ls = load_engines();
+
+    if (blorb.is_blorb(buf)) {
+        /* Blorb file. We hang onto the parsed Blorb data, since the
+           caller will want its metadata. */
+        var info = blorb.parse_blorb(path);
+        if (!info)
+            return null;
+        for (var ix=0; ix<ls.length; ix++) {
+            var format = ls[ix].module.detect_blorb(info, path);
+            if (format)
+                return engine_kind(ls[ix], format, info);
+        }
+        return null;
+    }
+
+    for (var ix=0; ix<ls.length; ix++) {
+        var format = ls[ix].module.detect(buf, filelen, path);
+        if (format)
+            return engine_kind(ls[ix], format);
+    }
+
+    return null;
+}
+
+function engine_kind(manifest, format, info)
+{
+    var kind = {
+        engine: manifest.engine,
+        format: format,
+        basehtml: manifest.basehtml,
+        docicon: manifest.docicon
+    };
+    if (info)
+        kind.blorb = info;
+    return kind;
+}
+
+/* Return the file-dialog filters of all the engines. */
+function file_filters()
+{
+    var res = [];
+    var ls = load_engines();
+    for (var ix=0; ix<ls.length; ix++)
+        res = res.concat(ls[ix].filters);
+    return res;
+}
+
+exports.get_engine = get_engine;
+exports.discriminate = discriminate;
+exports.file_filters = file_filters;
@@ -1,30 +1,57 @@
 'use strict';
 
+/* Convert a font name typed in by the player into a CSS font-family
+   value, ending with the generic monospace family.
+
+   We try to be conservative, since the player can enter anything at
+   all. We remove dangerous characters, split at commas, and then put
+   quotes around each bit. (Dangerous characters in the CSS sense:
+   quotes, backslashes, curly braces, and newlines. We don't worry about
+   HTML special characters; the value will be installed with jQuery
+   el.text() so &-escapes are not needed.)
+*/
+function custom_fontline(customfont)
+{
+    if (!customfont)
+        return 'monospace';
+    var val = customfont.replace(/\s/g, ' ');
+    val = val.replace(/[""\\{}]/g, '');
+    var ls = val.split(',');
+    ls = ls.map(val => ('"' + val.trim() + '"'));
+    ls = ls.filter(val => (val.length > 2));
+    ls.push('monospace');
+    return ls.join(', ');
+}
+
+/* Fonts which the player has imported (see userfonts.js) have keys of
+   the form 'user:Family Name'. */
+function is_user_font_key(fontkey)
+{
+    return (typeof(fontkey) == 'string' && fontkey.startsWith('user:'));
+}
+
+/* Convert a user font key into a CSS font-family value, ending with
+   the given fallback families. The family name came out of a font
+   file, so we strip anything dangerous in CSS. */
+function user_fontline(fontkey, fallback)
+{
+    var val = fontkey.slice(5).replace(/[\x00-\x1F"'\\{}<>;]/g, '').trim();
+    if (!val)
+        return null;
+    return '"' + val + '", ' + fallback;
+}
+
 /* Convert font preference strings into a CSS font-family value. */
 function get_fontline(fontkey, customfont)
 {
     var fontline = null;
 
+    if (is_user_font_key(fontkey))
+        return user_fontline(fontkey, 'Georgia, serif');
+
     switch (fontkey) {
     case 'custom':
-        /* We try to be conservative, since the player can enter anything
-           at all for the customfont. We remove dangerous characters,
-           split at commas, and then put quotes around each bit.
-           (Dangerous characters in the CSS sense: quotes, backslashes,
-           curly braces, and newlines. We don't worry about HTML special
-           characters; the value will be installed with jQuery el.text()
-           so &-escapes are not needed.) */
-        if (!customfont) {
-            fontline = 'monospace';
-            break;
-        }
-        var val = customfont.replace(/\s/g, ' ');
-        val = val.replace(/[""\\{}]/g, '');
-        var ls = val.split(',');
-        ls = ls.map(val => ('"' + val.trim() + '"'));
-        ls = ls.filter(val => (val.length > 2));
-        ls.push('monospace');
-        fontline = ls.join(', ');
+        fontline = custom_fontline(customfont);
         break;
     case 'georgia':
         fontline = 'Georgia, Cambria, serif';
@@ -53,4 +80,83 @@ function get_fontline(fontkey, customfont)
     return fontline;
 }
 
+/* Convert monospace font preference strings into a CSS font-family
+   value. This is used for fixed-width text: the status window and the
+   preformatted style. Returns null for the default (Source Code Pro).
+*/
+function get_monofontline(fontkey, customfont)
+{
+    if (is_user_font_key(fontkey))
+        return user_fontline(fontkey, 'monospace');
+
+    switch (fontkey) {
+    case 'custom':
+        return custom_fontline(customfont);
+    case 'courier':
+        return 'Courier, monospace';
+    case 'menlo':
+        return 'Menlo, Monaco, Consolas, monospace';
+    case 'sourcecodepro':
+    default:
+        return null;
+    }
+}
+
+/* The default line height of story text, from el-glkote.css. */
+const default_lineheight = 1.4;
+
+/* Convert the typography prefs into CSS text. The obj has fields
+   lineheight, paraspacing (in ems), columnwidth (in characters, or 0
+   for no limit), justify, hyphenate, monofont, and custommonofont.
+
+   The sels object gives the selectors to style: text (the container of
+   story text), line (each paragraph), and mono (fixed-width text).
+
+   Prefs at their default values produce no CSS, so this may return
+   the empty string.
+*/
+function get_typography_css(obj, sels)
+{
+    var ls = [];
+
+    /* The numbers come from the prefs file, so we make sure they
+       really are numbers (and sane ones) before pasting them into
+       CSS. */
+    var lineheight = Number(obj.lineheight);
+    if (lineheight && lineheight != default_lineheight) {
+        lineheight = Math.max(0.8, Math.min(3, lineheight));
+        /* zvm.css uses the variable for its line heights. */
+        ls.push(sels.text + ' { line-height: ' + lineheight + '; --base-line-height: ' + lineheight + '; }');
+    }
+
+    var paraspacing = Number(obj.paraspacing);
+    if (paraspacing > 0) {
+        paraspacing = Math.min(4, paraspacing);
+        ls.push(sels.line + ' { margin-bottom: ' + paraspacing + 'em; }');
+    }
+
+    var columnwidth = Math.round(Number(obj.columnwidth));
+    if (columnwidth > 0) {
+        columnwidth = Math.max(20, columnwidth);
+        ls.push(sels.line + ' { max-width: ' + columnwidth + 'ch; margin-left: auto; margin-right: auto; }');
+    }
+
+    if (obj.justify)
+        ls.push(sels.line + ' { text-align: justify; }');
+
+    if (obj.hyphenate)
+        ls.push(sels.line + ' { -webkit-hyphens: auto; hyphens: auto; }');
+
+    var monofontline = get_monofontline(obj.monofont, obj.custommonofont);
+    if (monofontline)
+        ls.push(sels.mono + ' { font-family: ' + monofontline + '; }');
+
+    if (!ls.length)
+        return '';
+    return ls.join('\n') + '\n';
+}
+
+exports.is_user_font_key = is_user_font_key;
 exports.get_fontline = get_fontline;
+exports.get_monofontline = get_monofontline;
+exports.get_typography_css = get_typography_css;
@@ -0,0 +1,473 @@
+'use strict';
+
+/* Glk sound channels, played with Web Audio. The Glk library in Quixe
+   has only stub sound functions, so we replace them (and the gestalt
+   and select calls which need to know about sound) on the Glk object
+   before the game starts.
+
+   Sounds come from the game's Blorb file: AIFF, Ogg, or MOD resources.
+   See sounddecode.js for the formats Chromium can't decode itself.
+
+   Notification events are queued as sounds finish. If the game is
+   waiting in glk_select(), we schedule a wakeup which fills in the
+   event and resumes the VM, the same way the Glk library does for
+   GlkOte input. (We never resume the VM from inside an audio callback.)
+   Otherwise the event is delivered by the game's next glk_select() or
+   glk_select_poll() call.
+*/
+
+const blorb = require('./blorb.js');
+const sounddecode = require('./sounddecode.js');
+
+/* Glk constants. */
+const gestalt_Sound = 8;
+const gestalt_SoundVolume = 9;
+const gestalt_SoundNotify = 10;
+const gestalt_SoundMusic = 13;
+const gestalt_Sound2 = 21;
+const evtype_SoundNotify = 7;
+const evtype_VolumeNotify = 9;
+/* Full volume, in Glk terms. */
+const volume_full = 0x10000;
+
+var Glk = null;
+var GiDispa = null;
+var VM = null;
+
+/* The game file, and its parsed Blorb data (or null if the game isn't
+   Blorbed, in which case it has no sounds). */
+var game_path = null;
+var game_blorb = null;
+/* The Web Audio context, created when the first channel is. */
+var audioctx = null;
+
+/* All the live channels, in creation order. */
+var channels = [];
+/* Maps sound numbers to Promises of AudioBuffers, so that each sound
+   is decoded only once. */
+var decoded = {};
+/* Notification events waiting for a glk_select call. */
+var pending_events = [];
+/* The event structure of the glk_select call which the game is waiting
+   in, or null if it isn't waiting. */
+var waiting_ref = null;
+/* The timer for a scheduled wake_select call, or null. */
+var wake_timer = null;
+
+/* The original Glk functions which we wrap. */
+var orig = {};
+
+/* Install the sound functions on a Glk library object. This must be
+   called before the game starts, since the dispatch layer looks up
+   Glk functions by name at call time. */
+function install(glk, dispa, vm, path)
+{
+    Glk = glk;
+    GiDispa = dispa;
+    VM = vm;
+    game_path = path;
+
+    try {
+        game_blorb = blorb.parse_blorb(path);
+    }
+    catch (ex) {
+        game_blorb = null;
+    }
+
+    orig.glk_gestalt = glk.glk_gestalt;
+    orig.glk_gestalt_ext = glk.glk_gestalt_ext;
+    orig.glk_select = glk.glk_select;
+    orig.glk_select_poll = glk.glk_select_poll;
+    orig.save_allstate = glk.save_allstate;
+    orig.restore_allstate = glk.restore_allstate;
+    orig.resume = vm.resume;
+
+    /* Any resume ends the wait, whether it was for our event or for
+       GlkOte input. */
+    vm.resume = function() {
+        waiting_ref = null;
+        return orig.resume.apply(vm, arguments);
+    };
+
+    glk.glk_gestalt = function(sel, val) {
+        return glk.glk_gestalt_ext(sel, val, null);
+    };
+    glk.glk_gestalt_ext = gestalt_ext;
+    glk.glk_select = function(eventref) {
+        if (deliver_event(eventref))
+            return;
+        waiting_ref = eventref;
+        return orig.glk_select.call(glk, eventref);
+    };
+    glk.glk_select_poll = function(eventref) {
+        if (deliver_event(eventref))
+            return;
+        return orig.glk_select_poll.call(glk, eventref);
+    };
+
+    glk.glk_schannel_create = function(rock) {
+        return schannel_create(rock, volume_full);
+    };
+    glk.glk_schannel_create_ext = schannel_create;
+    glk.glk_schannel_destroy = schannel_destroy;
+    glk.glk_schannel_iterate = schannel_iterate;
+    glk.glk_schannel_get_rock = function(chan) {
+        return chan.rock;
+    };
+    glk.glk_schannel_play = function(chan, snd) {
+        return schannel_play(chan, snd, 1, 0);
+    };
+    glk.glk_schannel_play_ext = schannel_play;
+    glk.glk_schannel_play_multi = schannel_play_multi;
+    glk.glk_schannel_stop = function(chan) {
+        stop_sound(chan);
+    };
+    glk.glk_schannel_pause = schannel_pause;
+    glk.glk_schannel_unpause = schannel_unpause;
+    glk.glk_schannel_set_volume = function(chan, vol) {
+        schannel_set_volume(chan, vol, 0, 0);
+    };
+    glk.glk_schannel_set_volume_ext = schannel_set_volume;
+    glk.glk_sound_load_hint = function(snd, flag) {
+        if (flag)
+            load_sound(snd);
+        else
+            delete decoded[snd];
+    };
+
+    if (orig.save_allstate && orig.restore_allstate) {
+        glk.save_allstate = save_allstate;
+        glk.restore_allstate = restore_allstate;
+    }
+}
+
+function gestalt_ext(sel, val, arr)
+{
+    switch (sel) {
+    case gestalt_Sound:
+    case gestalt_SoundVolume:
+    case gestalt_SoundNotify:
+    case gestalt_SoundMusic:
+    case gestalt_Sound2:
+        /* A game with no Blorb file has no sounds to play. */
+        return (game_blorb ? 1 : 0);
+    }
+    return orig.glk_gestalt_ext.call(Glk, sel, val, arr);
+}
+
+/* If a notification event is pending, fill in the event structure and
+   return true. */
+function deliver_event(eventref)
+{
+    if (!pending_events.length)
+        return false;
+    var ev = pending_events.shift();
+    eventref.set_field(0, ev.type);
+    eventref.set_field(1, null);
+    eventref.set_field(2, ev.val1);
+    eventref.set_field(3, ev.val2);
+    return true;
+}
+
+/* Queue a notification event. If the game is waiting for events,
+   schedule a wakeup to end the wait with it. */
+function queue_event(ev)
+{
+    pending_events.push(ev);
+
+    if (waiting_ref && !wake_timer)
+        wake_timer = setTimeout(wake_select, 0);
+}
+
+/* End the game's glk_select() wait with a pending event. By the time
+   this runs, GlkOte input may have ended the wait already; then the
+   event waits for the next glk_select() call. */
+function wake_select()
+{
+    wake_timer = null;
+    if (!waiting_ref || !pending_events.length)
+        return;
+    var eventref = waiting_ref;
+    waiting_ref = null;
+    deliver_event(eventref);
+    if (GiDispa)
+        GiDispa.prepare_resume(eventref);
+    VM.resume();
+}
+
+function get_audioctx()
+{
+    if (!audioctx)
+        audioctx = new AudioContext();
+    return audioctx;
+}
+
+/* Convert a Glk volume to a gain value. */
+function volume_gain(vol)
+{
+    return Math.max(0, vol) / volume_full;
+}
+
+function schannel_create(rock, volume, disprock)
+{
+    var ctx = get_audioctx();
+    var chan = {
+        rock: rock,
+        volume: volume,
+        gain: ctx.createGain(),
+        paused: false,
+        play: null,
+        volumenotify: null
+    };
+    chan.gain.gain.value = volume_gain(volume);
+    chan.gain.connect(ctx.destination);
+
+    channels.push(chan);
+    if (GiDispa)
+        GiDispa.class_register('schannel', chan, disprock);
+    return chan;
+}
+
+function schannel_destroy(chan)
+{
+    stop_sound(chan);
+    clear_volume_timer(chan);
+    chan.gain.disconnect();
+    var pos = channels.indexOf(chan);
+    if (pos >= 0)
+        channels.splice(pos, 1);
+    if (GiDispa)
+        GiDispa.class_unregister('schannel', chan);
+}
+
+function schannel_iterate(chan, rockref)
+{
+    var pos = 0;
+    if (chan)
+        pos = channels.indexOf(chan) + 1;
+    var next = (pos < channels.length) ? channels[pos] : null;
+    if (rockref)
+        rockref.set_value(next ? next.rock : 0);
+    return next;
+}
+
+/* Return whether the game file has a sound resource with this number. */
+function sound_exists(snd)
+{
+    return !!(game_blorb && blorb.find_resource(game_blorb, 'Snd ', snd));
+}
+
+/* Decode a sound resource. Returns a Promise of an AudioBuffer. */
+function load_sound(snd)
+{
+    if (decoded[snd])
+        return decoded[snd];
+
+    var promise = new Promise(function(resolve, reject) {
+        var res = blorb.find_resource(game_blorb, 'Snd ', snd);
+        var ctx = get_audioctx();
+        var dat = blorb.read_chunk(game_path, res.chunk);
+        switch (res.chunk.type) {
+        case 'FORM':
+            resolve(sounddecode.decode_aiff(dat, ctx));
+            break;
+        case 'MOD ':
+            resolve(sounddecode.render_mod(dat, ctx));
+            break;
+        default:
+            /* Ogg Vorbis, or anything else Chromium can handle. The
+               decoder wants an ArrayBuffer of its own. */
+            var arrbuf = dat.buffer.slice(dat.byteOffset, dat.byteOffset + dat.length);
+            ctx.decodeAudioData(arrbuf, resolve, function() {
+                reject(new Error('Unable to decode sound ' + snd));
+            });
+            break;
+        }
+    });
+
+    decoded[snd] = promise;
+    /* A sound which can't be decoded just doesn't play. */
+    promise.catch(function(ex) {});
+    return promise;
+}
+
+/* Start a sound. Repeats is the number of times to play it (-1 for
+   forever); if notify is nonzero, a notification event is queued when
+   the last repetition finishes. */
+function schannel_play(chan, snd, repeats, notify)
+{
+    stop_sound(chan);
+    if (!sound_exists(snd))
+        return 0;
+    if (repeats == 0)
+        return 1;
+
+    var play = {
+        snd: snd,
+        repeats: repeats,
+        notify: notify,
+        buffer: null,
+        source: null,
+        starttime: 0,
+        offset: 0
+    };
+    chan.play = play;
+
+    load_sound(snd).then(function(buffer) {
+        if (chan.play !== play)
+            return; /* stopped or replaced while decoding */
+        play.buffer = buffer;
+        if (!chan.paused)
+            start_source(chan, play);
+    }, function(ex) {
+        if (chan.play === play)
+            chan.play = null;
+    });
+    return 1;
+}
+
+function schannel_play_multi(chanarr, sndarr, notify)
+{
+    var count = 0;
+    var len = Math.min(chanarr.length, sndarr.length);
+    for (var ix=0; ix<len; ix++)
+        count += schannel_play(chanarr[ix], sndarr[ix], 1, notify);
+    return count;
+}
+
+/* Begin (or resume) playing a decoded sound. */
+function start_source(chan, play)
+{
+    var ctx = get_audioctx();
+    var source = ctx.createBufferSource();
+    source.buffer = play.buffer;
+    source.loop = (play.repeats < 0);
+    source.connect(chan.gain);
+    source.onended = function() {
+        if (chan.play !== play || play.source !== source)
+            return; /* stopped or paused */
+        play.source = null;
+        if (play.repeats > 1) {
+            play.repeats--;
+            play.offset = 0;
+            start_source(chan, play);
+            return;
+        }
+        chan.play = null;
+        if (play.notify)
+            queue_event({ type:evtype_SoundNotify, val1:play.snd, val2:play.notify });
+    };
+    play.source = source;
+    play.starttime = ctx.currentTime - play.offset;
+    source.start(0, play.offset);
+}
+
+/* Stop a channel's sound, without notification. */
+function stop_sound(chan)
+{
+    var play = chan.play;
+    chan.play = null;
+    if (play && play.source) {
+        var source = play.source;
+        play.source = null;
+        source.stop();
+    }
+}
+
+function schannel_pause(chan)
+{
+    if (chan.paused)
+        return;
+    chan.paused = true;
+    var play = chan.play;
+    if (play && play.source) {
+        /* Remember where we were, so we can resume from there. */
+        var elapsed = get_audioctx().currentTime - play.starttime;
+        play.offset = elapsed % play.buffer.duration;
+        var source = play.source;
+        play.source = null;
+        source.stop();
+    }
+}
+
+function schannel_unpause(chan)
+{
+    if (!chan.paused)
+        return;
+    chan.paused = false;
+    var play = chan.play;
+    if (play && play.buffer && !play.source)
+        start_source(chan, play);
+}
+
+/* Change a channel's volume, over duration milliseconds. If notify is
+   nonzero, a notification event is queued when the change is done. */
+function schannel_set_volume(chan, vol, duration, notify)
+{
+    var ctx = get_audioctx();
+    var param = chan.gain.gain;
+    clear_volume_timer(chan);
+    chan.volume = vol;
+
+    param.cancelScheduledValues(ctx.currentTime);
+    if (!duration) {
+        param.value = volume_gain(vol);
+    }
+    else {
+        param.setValueAtTime(param.value, ctx.currentTime);
+        param.linearRampToValueAtTime(volume_gain(vol), ctx.currentTime + duration/1000);
+    }
+
+    if (notify) {
+        chan.volumenotify = setTimeout(function() {
+            chan.volumenotify = null;
+            queue_event({ type:evtype_VolumeNotify, val1:0, val2:notify });
+        }, duration);
+    }
+}
+
+function clear_volume_timer(chan)
+{
+    if (chan.volumenotify) {
+        clearTimeout(chan.volumenotify);
+        chan.volumenotify = null;
+    }
+}
+
+/* Autosave support. The Glk library saves its windows and streams; we
+   add the sound channels, so that the game's references to them are
+   still good after an autorestore. A looping sound (background music,
+   usually) is restarted; anything else is allowed to lapse. */
+function save_allstate()
+{
+    var res = orig.save_allstate.call(Glk);
+    res.schannels = channels.map(function(chan) {
+        var obj = {
+            disprock: chan.disprock,
+            rock: chan.rock,
+            volume: chan.volume,
+            paused: chan.paused
+        };
+        if (chan.play && chan.play.repeats < 0)
+            obj.loopsnd = chan.play.snd;
+        return obj;
+    });
+    return res;
+}
+
+function restore_allstate(res)
+{
+    var val = orig.restore_allstate.call(Glk, res);
+    if (res.schannels) {
+        for (var ix=0; ix<res.schannels.length; ix++) {
+            var obj = res.schannels[ix];
+            var chan = schannel_create(obj.rock, obj.volume, obj.disprock);
+            chan.paused = obj.paused;
+            if (obj.loopsnd !== undefined)
+                schannel_play(chan, obj.loopsnd, -1, 0);
+        }
+    }
+    return val;
+}
+
+exports.install = install;
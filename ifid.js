@@ -0,0 +1,212 @@
+'use strict';
+
+/* IFID computation, following the Treaty of Babel:
+     http://babel.ifarchive.org/babel_rev11.html
+
+   An IFID is the standard identifier for a game, the same one that
+   IFDB and other interpreters use. A game may declare its IFID (in
+   Blorb metadata or as a "UUID://...//" string in the story file);
+   otherwise it is derived from header fields or the file's MD5 hash,
+   depending on the format.
+*/
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+const blorb = require('./blorb.js');
+
+/* Compute the IFID of a game file. The kind argument is the result of
+   game_file_discriminate() in main.js; we need its format field, and
+   the parsed Blorb data if there is any.
+
+   Returns an uppercase IFID string. Throws an exception if the file
+   is unreadable.
+*/
+function game_ifid(path, kind)
+{
+    if (kind.blorb) {
+        /* A Blorb's IFID comes from its metadata, if it has any.
+           Otherwise the IFID is computed from the game chunk. */
+        if (kind.blorb.ifid)
+            return kind.blorb.ifid;
+        var execres = blorb.find_resource(kind.blorb, 'Exec', 0);
+        if (!execres)
+            return md5_ifid(fs.readFileSync(path));
+        return data_ifid(blorb.read_chunk(path, execres.chunk), kind.format);
+    }
+
+    return data_ifid(fs.readFileSync(path), kind.format);
+}
+
+/* The same as game_ifid(), but the file is read asynchronously, so that
+   a big file doesn't hold up the main process. Calls callback(err, ifid).
+*/
+function game_ifid_async(path, kind, callback)
+{
+    if (kind.blorb && kind.blorb.ifid) {
+        setImmediate(callback, null, kind.blorb.ifid);
+        return;
+    }
+
+    fs.readFile(path, function(err, filebuf) {
+        if (err) {
+            callback(err, null);
+            return;
+        }
+
+        var res;
+        try {
+            var buf = filebuf;
+            if (kind.blorb) {
+                var execres = blorb.find_resource(kind.blorb, 'Exec', 0);
+                if (execres)
+                    buf = filebuf.slice(execres.chunk.pos, execres.chunk.pos + execres.chunk.len);
+                else
+                    buf = null;
+            }
+            res = (buf ? data_ifid(buf, kind.format) : md5_ifid(filebuf));
+        }
+        catch (ex) {
+            callback(ex, null);
+            return;
+        }
+        callback(null, res);
+    });
+}
+
+/* Compute the IFID of a game's data (the whole file, or the Blorb's
+   game chunk). */
+function data_ifid(buf, format)
+{
+    var uuid = find_uuid(buf);
+    if (uuid)
+        return uuid;
+
+    var res = null;
+    switch (format) {
+    case 'Glulx':
+        res = glulx_ifid(buf);
+        break;
+    case 'Z-code':
+        res = zcode_ifid(buf);
+        break;
+    case 'Hugo':
+        res = hugo_ifid(buf);
+        break;
+    case 'Ink':
+        res = ink_ifid(buf);
+        break;
+    }
+
+    if (!res)
+        res = md5_ifid(buf);
+    return res;
+}
+
+/* Look for an embedded "UUID://...//" string. Returns the UUID part
+   (uppercased), or null. */
+function find_uuid(buf)
+{
+    var pos = 0;
+    while (true) {
+        pos = buf.indexOf('UUID://', pos, 'latin1');
+        if (pos < 0)
+            return null;
+        var val = buf.toString('latin1', pos+7, pos+7+38);
+        if (val.length == 38 && val.endsWith('//')) {
+            val = val.slice(0, 36);
+            if (val.match(/^[0-9A-Fa-f-]+$/))
+                return val.toUpperCase();
+        }
+        pos += 7;
+    }
+}
+
+/* The fallback IFID for any format: the MD5 hash of the story file,
+   in uppercase hex. */
+function md5_ifid(buf)
+{
+    var hash = crypto.createHash('md5');
+    hash.update(buf);
+    return hash.digest('hex').toUpperCase();
+}
+
+/* Convert a header serial code to IFID form: alphanumerics are kept,
+   anything else becomes a hyphen. */
+function serial_string(buf, pos, len)
+{
+    var res = '';
+    for (var ix=0; ix<len; ix++) {
+        var ch = String.fromCharCode(buf[pos+ix]);
+        if (!ch.match(/[0-9A-Za-z]/))
+            ch = '-';
+        res += ch;
+    }
+    return res;
+}
+
+/* Glulx: an Inform-compiled game (with an "Info" block after the header)
+   gets GLULX-release-serial-checksum. Other Glulx games fall back to
+   MD5. */
+function glulx_ifid(buf)
+{
+    if (buf.length < 60)
+        return null;
+    if (buf.toString('latin1', 36, 40) != 'Info')
+        return null;
+
+    var release = buf.readUInt16BE(52);
+    var serial = serial_string(buf, 54, 6);
+    var checksum = buf.readUInt32BE(32).toString(16).toUpperCase();
+    return 'GLULX-' + release + '-' + serial + '-' + checksum;
+}
+
+/* Z-code: ZCODE-release-serial, plus the checksum if the serial code
+   doesn't look like an Inform date stamp. */
+function zcode_ifid(buf)
+{
+    if (buf.length < 64)
+        return null;
+
+    var release = buf.readUInt16BE(2);
+    var serial = serial_string(buf, 18, 6);
+    var res = 'ZCODE-' + release + '-' + serial;
+
+    if (serial == '000000' || !serial.match(/^[0-9]/) || serial[0] == '8') {
+        var checksum = buf.readUInt16BE(28).toString(16).toUpperCase();
+        while (checksum.length < 4)
+            checksum = '0' + checksum;
+        res = res + '-' + checksum;
+    }
+
+    return res;
+}
+
+/* Hugo: HUGO-version-id-serial, with the two id bytes in hex. */
+function hugo_ifid(buf)
+{
+    if (buf.length < 11)
+        return null;
+
+    var hexbyte = function(val) {
+        var str = val.toString(16).toUpperCase();
+        return (str.length < 2) ? ('0' + str) : str;
+    };
+
+    var serial = serial_string(buf, 3, 8);
+    return 'HUGO-' + buf[0] + '-' + hexbyte(buf[1]) + '-' + hexbyte(buf[2]) + '-' + serial;
+}
+
+/* Ink: the Treaty doesn't cover Ink. We accept an "IFID: ..." global
+   tag in the story; otherwise the file falls back to MD5. */
+function ink_ifid(buf)
+{
+    var str = buf.toString('utf8');
+    var match = str.match(/"#"\s*:\s*"\s*IFID\s*:\s*([0-9A-Fa-f-]{36})\s*"/i);
+    if (match)
+        return match[1].toUpperCase();
+    return null;
+}
+
+exports.game_ifid = game_ifid;
+exports.game_ifid_async = game_ifid_async;
@@ -0,0 +1,141 @@
+'use strict';
+
+/* The Ink debug panel. This shows the story's global variables, visit
+   counts, current path, and recent tags, and lets the author edit
+   variables and visit counts. Changes take effect when the story next
+   continues.
+
+   The panel lives in the #inkdebug element of inkplay.html. It is
+   toggled by the app (see the toggle_ink_debug hook in apphooks.js),
+   and refreshed by inkplay.js after every update.
+*/
+
+const InkDebug = function() {
+
+var panel_el = null;
+
+/* Whether the panel is open. */
+function visible()
+{
+    return (panel_el && panel_el.css('display') == 'block');
+}
+
+function toggle()
+{
+    if (!panel_el)
+        return;
+
+    if (visible()) {
+        panel_el.css('display', 'none');
+    }
+    else {
+        panel_el.css('display', 'block');
+        update();
+    }
+}
+
+/* Rebuild the panel from the story state. This does nothing if the panel
+   is closed, or if the author is in the middle of editing a field. */
+function update()
+{
+    if (!visible())
+        return;
+    if (panel_el.find(document.activeElement).length)
+        return;
+
+    var state = GiLoad.debug_state();
+    panel_el.empty();
+
+    var closeel = $('<button>', { 'class':'InkDebugClose' }).text('\u2716');
+    closeel.on('click', toggle);
+    panel_el.append(closeel);
+
+    panel_el.append($('<h3>').text('Path'));
+    panel_el.append($('<div>', { 'class':'InkDebugPath' }).text(state.path || '--'));
+
+    panel_el.append($('<h3>').text('Tags'));
+    if (!state.tags.length)
+        panel_el.append($('<div>').text('--'));
+    for (var ix=0; ix<state.tags.length; ix++)
+        panel_el.append($('<div>', { 'class':'InkDebugTag' }).text('# ' + state.tags[ix]));
+
+    panel_el.append($('<h3>').text('Variables'));
+    var tableel = $('<table>');
+    for (var ix=0; ix<state.variables.length; ix++)
+        tableel.append(construct_variable_row(state.variables[ix]));
+    panel_el.append(tableel);
+
+    panel_el.append($('<h3>').text('Visit Counts'));
+    tableel = $('<table>');
+    for (var ix=0; ix<state.visits.length; ix++)
+        tableel.append(construct_visit_row(state.visits[ix]));
+    panel_el.append(tableel);
+}
+
+function construct_variable_row(variable)
+{
+    var rowel = $('<tr>');
+    rowel.append($('<td>').text(variable.name));
+
+    if (variable.type == 'other') {
+        rowel.append($('<td>').text(variable.value));
+        return rowel;
+    }
+
+    var inputel = $('<input>', { type:'text' });
+    inputel.val(variable.value);
+    inputel.on('change', function() {
+        var val = inputel.val();
+        if (variable.type == 'number') {
+            val = Number(val);
+            if (isNaN(val)) {
+                inputel.val(variable.value);
+                return;
+            }
+        }
+        try {
+            GiLoad.debug_set_variable(variable.name, val);
+            variable.value = val;
+        }
+        catch (ex) {
+            console.log('Unable to set ' + variable.name + ': ' + ex);
+            inputel.val(variable.value);
+        }
+    });
+    rowel.append($('<td>').append(inputel));
+    return rowel;
+}
+
+function construct_visit_row(visit)
+{
+    var rowel = $('<tr>');
+    rowel.append($('<td>').text(visit.path));
+
+    var inputel = $('<input>', { type:'text', 'class':'InkDebugCount' });
+    inputel.val(visit.count);
+    inputel.on('change', function() {
+        var val = parseInt(inputel.val());
+        if (isNaN(val) || val < 0) {
+            inputel.val(visit.count);
+            return;
+        }
+        GiLoad.debug_set_visit_count(visit.path, val);
+        visit.count = val;
+    });
+    rowel.append($('<td>').append(inputel));
+    return rowel;
+}
+
+$(document).ready(function() {
+    panel_el = $('#inkdebug');
+    if (!panel_el.length)
+        panel_el = null;
+});
+
+return {
+    toggle: toggle,
+    update: update
+};
+}();
+
+window.InkDebug = InkDebug;
@@ -0,0 +1,137 @@
+'use strict';
+
+/* External functions for Ink stories. An Ink story can declare
+   EXTERNAL functions, which the interpreter must supply. This module
+   binds a set of built-in functions (random numbers, the clock, and a
+   simple persistent store), plus any functions supplied by a game's
+   extension script.
+
+   An extension script is a Node module which exports an
+   external_functions object, mapping function names to Javascript
+   functions. For a bound game, it is named by the lectroteInkExtension
+   field in package.json. Otherwise, it is a .js file next to the story
+   file, with the same base name.
+*/
+
+const fs = require('fs');
+const path_mod = require('path');
+
+/* The persistent store for the current game: a flat object of Ink
+   values, written to storepath whenever it changes. */
+var store = null;
+var storepath = null;
+
+/* The built-in functions. Ink has its own RANDOM(), but stories written
+   for other interpreters often expect these instead. */
+const builtin_functions = {
+    random_int: function(min, max) {
+        return min + Math.floor(Math.random() * (max - min + 1));
+    },
+    dice: function(count, sides) {
+        var total = 0;
+        for (var ix=0; ix<count; ix++)
+            total += 1 + Math.floor(Math.random() * sides);
+        return total;
+    },
+    time_hours: function() {
+        return new Date().getHours();
+    },
+    time_minutes: function() {
+        return new Date().getMinutes();
+    },
+    date_year: function() {
+        return new Date().getFullYear();
+    },
+    date_month: function() {
+        return new Date().getMonth() + 1;
+    },
+    date_day: function() {
+        return new Date().getDate();
+    },
+    date_weekday: function() {
+        return new Date().getDay();
+    },
+    store_get: function(key, defval) {
+        load_store();
+        if (store.hasOwnProperty(key))
+            return store[key];
+        return (defval === undefined) ? 0 : defval;
+    },
+    store_set: function(key, val) {
+        load_store();
+        store[key] = val;
+        write_store();
+        return val;
+    }
+};
+
+function load_store()
+{
+    if (store)
+        return;
+
+    store = {};
+    if (!storepath)
+        return;
+    try {
+        var str = fs.readFileSync(storepath, { encoding:'utf8' });
+        store = JSON.parse(str);
+    }
+    catch (ex) { }
+}
+
+function write_store()
+{
+    if (!storepath)
+        return;
+    try {
+        try {
+            fs.mkdirSync(path_mod.dirname(storepath));
+        }
+        catch (ex) { }
+        fs.writeFileSync(storepath, JSON.stringify(store), { encoding:'utf8' });
+    }
+    catch (ex) {
+        console.log('Unable to write Ink store: ' + ex);
+    }
+}
+
+/* Bind external functions to a story. The options are:
+     extension: pathname of the game's extension script, or null
+     storedir: directory for persistent store files, or null
+     signature: the game signature, which names its store file
+   Functions from the extension script override built-in functions of
+   the same name. Returns the list of names that were bound.
+*/
+function bind_functions(story, options)
+{
+    var funcs = Object.assign({}, builtin_functions);
+
+    if (options.storedir && options.signature)
+        storepath = path_mod.join(options.storedir, options.signature.replace(/[^A-Za-z0-9_-]/g, '_') + '.json');
+
+    if (options.extension) {
+        try {
+            var ext = require(options.extension);
+            if (ext.external_functions)
+                Object.assign(funcs, ext.external_functions);
+        }
+        catch (ex) {
+            console.log('Unable to load Ink extension ' + options.extension + ': ' + ex);
+        }
+    }
+
+    var bound = [];
+    for (var name in funcs) {
+        try {
+            story.BindExternalFunction(name, funcs[name]);
+            bound.push(name);
+        }
+        catch (ex) {
+            console.log('Unable to bind external function ' + name + ': ' + ex);
+        }
+    }
+    return bound;
+}
+
+exports.bind_functions = bind_functions;
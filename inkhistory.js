@@ -0,0 +1,295 @@
+'use strict';
+
+/* The on-disk transcript of an Ink session. The autosave only keeps the
+   last hundred lines of output, so we also append every line to a
+   history file (one JSON object per line). When the game is restored,
+   or rewound, older lines are read back from the file as the player
+   scrolls up.
+
+   The first line of the file is a header with a random ID. The file is
+   only ever appended to. Restoring an older save (or rewinding) and
+   playing on adds the new lines at the end, so one session's lines may
+   be spread over several parts of the file. We track those parts as a
+   list of segments, { pos, len, count } (byte position, byte length,
+   and number of lines). Autosaves record the ID and the segments. If a
+   restored snapshot doesn't match the file (because the file was
+   discarded by a reset, say), we start a fresh file.
+*/
+
+const fs = require('fs');
+const path_mod = require('path');
+
+/* Pathname of the history file, or null if we're not keeping one. */
+var history_path = null;
+/* The header ID of the current file. */
+var history_id = null;
+/* Number of lines in this session's history. */
+var history_count = 0;
+/* The parts of the file which hold this session's lines, in order. */
+var history_segments = [];
+/* Length of the file in bytes. New lines are written here. */
+var history_end = 0;
+/* Index of the first line after the most recent window clear. We never
+   scroll back past this. */
+var history_floor = 0;
+/* Index of the first line currently displayed in the window. */
+var history_shown = 0;
+/* Number of upcoming lines which are already in the file, and so should
+   not be appended again. */
+var history_skip = 0;
+/* The file's lines, once we've had to read them. */
+var history_cache = null;
+
+/* Set up the history file for a game. If dir is null, no history is
+   kept. */
+function setup(dir, signature)
+{
+    history_path = null;
+    if (dir && signature)
+        history_path = path_mod.join(dir, signature.replace(/[^A-Za-z0-9_-]/g, '_') + '.jsonl');
+}
+
+/* Begin a new history file. The lines argument contains lines which are
+   already displayed (usually none). */
+function start_fresh(lines)
+{
+    history_id = Date.now().toString(36) + '-' + Math.floor(Math.random() * 1679616).toString(36);
+    history_count = 0;
+    history_segments = [];
+    history_end = 0;
+    history_floor = 0;
+    history_shown = 0;
+    history_skip = 0;
+    history_cache = [];
+
+    if (!history_path)
+        return;
+
+    var header = JSON.stringify({ lectrote_history:1, id:history_id }) + '\n';
+    try {
+        try {
+            fs.mkdirSync(path_mod.dirname(history_path));
+        }
+        catch (ex) { }
+        fs.writeFileSync(history_path, header, { encoding:'utf8' });
+        history_end = Buffer.byteLength(header);
+    }
+    catch (ex) {
+        console.log('Unable to write Ink history: ' + ex);
+        history_path = null;
+        return;
+    }
+
+    append(lines);
+}
+
+/* Pick up the history file after an autorestore. The info argument is
+   what state() returned when the snapshot was saved; lines is the
+   snapshot's scrollback, which is about to be redisplayed.
+*/
+function resume(info, lines)
+{
+    history_cache = null;
+
+    if (!history_path || !info || !info.segments || info.id != read_header_id()) {
+        start_fresh(lines);
+        history_skip = lines.length;
+        return;
+    }
+
+    /* The file may have grown since the snapshot (if a later save was
+       played on), but the snapshot's segments must all be there. */
+    var size;
+    try {
+        size = fs.statSync(history_path).size;
+        info.segments.forEach(function(seg) {
+            if (seg.pos + seg.len > size)
+                throw new Error('history file is too short');
+        });
+    }
+    catch (ex) {
+        console.log('Unable to resume Ink history: ' + ex);
+        start_fresh(lines);
+        history_skip = lines.length;
+        return;
+    }
+
+    history_id = info.id;
+    history_count = info.count;
+    history_segments = copy_segments(info.segments);
+    history_end = size;
+    history_floor = info.floor;
+    history_shown = Math.max(history_floor, history_count - lines.length);
+    history_skip = lines.length;
+}
+
+/* Go back to an earlier state, as returned by state(). The last shown
+   lines of that state (which are already in the file) are about to be
+   redisplayed. The lines after that state stay in the file, since a
+   save may still refer to them. */
+function rewind(info, shown)
+{
+    if (!history_path || !info || !info.segments || info.id != history_id)
+        return;
+
+    history_count = info.count;
+    history_segments = copy_segments(info.segments);
+    history_floor = info.floor;
+    history_shown = Math.max(history_floor, history_count - shown);
+    history_skip = shown;
+    if (history_cache)
+        history_cache.length = Math.min(history_cache.length, history_count);
+}
+
+/* Note that the window has been cleared. Lines before this point will
+   not be scrolled back to. */
+function note_clear()
+{
+    history_floor = history_count;
+    history_shown = history_count;
+}
+
+/* Add lines of output to the end of the file. */
+function append(lines)
+{
+    if (history_skip) {
+        var count = Math.min(history_skip, lines.length);
+        history_skip -= count;
+        lines = lines.slice(count);
+    }
+    if (!lines.length || !history_path)
+        return;
+
+    var text = lines.map(line => JSON.stringify(line) + '\n').join('');
+    try {
+        fs.appendFileSync(history_path, text, { encoding:'utf8' });
+    }
+    catch (ex) {
+        console.log('Unable to write Ink history: ' + ex);
+        return;
+    }
+
+    var len = Buffer.byteLength(text);
+    var last = history_segments[history_segments.length-1];
+    if (last && last.pos + last.len == history_end) {
+        last.len += len;
+        last.count += lines.length;
+    }
+    else {
+        history_segments.push({ pos:history_end, len:len, count:lines.length });
+    }
+    history_end += len;
+    history_count += lines.length;
+    if (history_cache)
+        history_cache = history_cache.concat(lines);
+}
+
+/* Delete the history file (because the game is being reset). */
+function discard()
+{
+    if (!history_path)
+        return;
+    try {
+        fs.unlinkSync(history_path);
+    }
+    catch (ex) { }
+}
+
+/* Return the information an autosave needs to resume the history. */
+function state()
+{
+    return {
+        id: history_id,
+        count: history_count,
+        segments: copy_segments(history_segments),
+        floor: history_floor
+    };
+}
+
+function copy_segments(ls)
+{
+    return ls.map(seg => ({ pos:seg.pos, len:seg.len, count:seg.count }));
+}
+
+/* Return up to max lines from before the first line displayed, and
+   note that they're now displayed too. Returns an empty list if there
+   are no more. */
+function older_lines(max)
+{
+    if (history_shown <= history_floor)
+        return [];
+
+    if (!history_cache) {
+        history_cache = read_lines();
+        if (history_cache.length < history_count) {
+            /* The file is damaged; give up on scrolling back. */
+            history_floor = history_shown;
+            return [];
+        }
+    }
+
+    var start = Math.max(history_floor, history_shown - max);
+    var res = history_cache.slice(start, history_shown);
+    history_shown = start;
+    return res;
+}
+
+function read_header_id()
+{
+    try {
+        var fd = fs.openSync(history_path, 'r');
+        try {
+            var buf = new Buffer(256);
+            var len = fs.readSync(fd, buf, 0, buf.length, 0);
+            var str = buf.toString('utf8', 0, len);
+            var pos = str.indexOf('\n');
+            if (pos < 0)
+                return null;
+            return JSON.parse(str.slice(0, pos)).id;
+        }
+        finally {
+            fs.closeSync(fd);
+        }
+    }
+    catch (ex) {
+        return null;
+    }
+}
+
+/* Read this session's lines from the file, segment by segment. */
+function read_lines()
+{
+    var res = [];
+    try {
+        var fd = fs.openSync(history_path, 'r');
+        try {
+            for (var ix=0; ix<history_segments.length; ix++) {
+                var seg = history_segments[ix];
+                var buf = new Buffer(seg.len);
+                fs.readSync(fd, buf, 0, seg.len, seg.pos);
+                var ls = buf.toString('utf8').split('\n');
+                /* Drop the empty string after the final newline. */
+                ls = ls.slice(0, ls.length-1);
+                res = res.concat(ls.map(val => JSON.parse(val)));
+            }
+        }
+        finally {
+            fs.closeSync(fd);
+        }
+    }
+    catch (ex) {
+        console.log('Unable to read Ink history: ' + ex);
+        return [];
+    }
+    return res;
+}
+
+exports.setup = setup;
+exports.start_fresh = start_fresh;
+exports.resume = resume;
+exports.rewind = rewind;
+exports.note_clear = note_clear;
+exports.append = append;
+exports.discard = discard;
+exports.state = state;
+exports.older_lines = older_lines;
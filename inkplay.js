@@ -2,6 +2,13 @@
 
 const Story = require('./inkjs/ink.min.js').Story;
 
+const fs = require('fs');
+const path_mod = require('path');
+const nativeImage = require('electron').nativeImage;
+
+const inkfuncs = require('./inkfuncs.js');
+const inkhistory = require('./inkhistory.js');
+
 /* The inkjs story object that will be loaded. */
 var story = null;
 /* Short string which will (hopefully) be unique per game. */
@@ -12,11 +19,39 @@ var metadata = {};
 /* We need to distinguish each turn's hyperlinks. */
 var game_turn = 0;
 
-/* History of recent window output. We need this to do autosave. */
+/* History of recent window output. We need this to do autosave. (The
+   complete output is kept in the history file; see inkhistory.js.) */
 var scrollback = [];
+/* Whether we've set up scrolling back into the history file. */
+var history_scroll_attached = false;
 /* Extra update information -- autorestore only. */
 var autorestore_glkstate = null;
 
+/* Earlier choice points, for rewinding. Each entry holds the ink state,
+   turn, and scrollback from just before a choice was made. */
+var rewind_history = [];
+/* How many choice points to keep. */
+const REWIND_LIMIT = 250;
+/* Set when the next update should clear the story window (because we
+   rewound). */
+var clear_window = false;
+/* The tags seen during the most recent game_cycle(). */
+var last_tags = [];
+
+/* Lines waiting to be revealed, in "slow" presentation mode. Each entry
+   is a list of output lines which appear together: a paragraph, or the
+   whole choice list. */
+var reveal_queue = [];
+/* Set when game_select() should queue the current output for gradual
+   reveal, rather than showing it at once. */
+var reveal_pending = false;
+/* Set when game_select() should reveal the next queued entry. */
+var reveal_advance = false;
+/* Whether we have a GlkOte timer running for the reveal. */
+var reveal_timer_on = false;
+/* The position in game_streamout where the choice list starts. */
+var choices_pos = null;
+
 /* Start with the defaults. These can be modified later by the game_options
    defined in the HTML file.
 
@@ -30,6 +65,7 @@ var all_options = {
     set_page_title: true,  // set the window title to the game name
     default_page_title: 'Game', // fallback game name to use for title
     exit_warning: 'The game session has ended.',
+    ink_presentation: 'plain', // 'plain' or 'slow'
 };
 
 /* Launch the game. The buf argument must be a Node Buffer.
@@ -49,6 +85,7 @@ function load_run(optobj, buf)
     for (var ix=0; ix<buf.length; ix++)
         checksum += (buf[ix] & 0xFF);
     signature = 'ink_' + checksum + '_' + buf.length;
+    inkhistory.setup(all_options.ink_history_dir, signature);
 
     /* Load the appropriate version of the ink engine, based on the
        story file's inkVersion. (This logic is derived from the
@@ -80,10 +117,18 @@ function load_run(optobj, buf)
         return;
     }
 
-    /* We can't support external functions, but we can make sure the
-       callbacks get called, at least. */
+    /* Bind the external functions we know about: the built-in ones,
+       and any that the game's extension script supplies. If the story
+       declares others, fall back to their ink definitions. */
+    inkfuncs.bind_functions(story, {
+        extension: all_options.ink_extension,
+        storedir: all_options.ink_store_dir,
+        signature: signature
+    });
     story.allowExternalFunctionFallbacks = true;
 
+    load_story_stylesheet();
+
     /* Pull out the story's global tag info. This may include title
        and author. */
     try {
@@ -121,6 +166,34 @@ function load_run(optobj, buf)
     all_options.io.init(all_options);
 }
 
+/* If there's a .css file next to the story file, with the same base
+   name, add it to the page. This lets a story style the classes it
+   names in CLASS tags. */
+function load_story_stylesheet()
+{
+    var path = all_options.ink_game_path;
+    if (!path)
+        return;
+    var csspath = path_mod.join(path_mod.dirname(path), path_mod.basename(path, path_mod.extname(path)) + '.css');
+    try {
+        fs.accessSync(csspath, fs.R_OK);
+    }
+    catch (ex) {
+        return;
+    }
+    $('head').append($('<link>', { rel:'stylesheet', type:'text/css', href:file_url(csspath) }));
+}
+
+/* Convert a pathname to a file: URL. */
+function file_url(path)
+{
+    var val = path.split(path_mod.sep).join('/');
+    if (val[0] != '/')
+        val = '/' + val;
+    val = encodeURI(val).replace(/#/g, '%23').replace(/\?/g, '%3F');
+    return 'file://' + val;
+}
+
 function get_game_signature()
 {
     return signature;
@@ -133,6 +206,15 @@ function get_metadata(key)
 
 function game_choose(val)
 {
+    /* Take the rewind snapshot before choosing, but only keep it if the
+       choice goes through. */
+    var snapshot = {
+        ink: story.state.jsonToken,
+        turn: game_turn,
+        scrollback: scrollback.concat(game_streamout),
+        history: inkhistory.state()
+    };
+
     try {
         story.ChooseChoiceIndex(val);
     }
@@ -140,14 +222,25 @@ function game_choose(val)
         GlkOte.error("Unable to choose: " + show_exception(ex));
         return;
     }
+
+    rewind_history.push(snapshot);
+    if (rewind_history.length > REWIND_LIMIT)
+        rewind_history.splice(0, rewind_history.length-REWIND_LIMIT);
 }
 
 function game_cycle()
 {
+    last_tags = [];
+    choices_pos = null;
+    if (all_options.ink_presentation == 'slow')
+        reveal_pending = true;
     try {
         while (story.canContinue) {
             var text = story.Continue();
-            say(text);
+            var tags = story.currentTags || [];
+            last_tags = last_tags.concat(tags);
+            var style = apply_tags(tags);
+            say(text, style);
         }
     }
     catch (ex) {
@@ -163,6 +256,7 @@ function game_cycle()
     
     game_turn++;
 
+    choices_pos = game_streamout.length;
     for (var ix=0; ix<story.currentChoices.length; ix++) {
         var choice = story.currentChoices[ix];
         say_choice(ix, game_turn, choice.text);
@@ -171,6 +265,240 @@ function game_cycle()
 
 }
 
+/* Interpret the presentation tags attached to a line of story text.
+   We understand:
+     # IMAGE: file.png -- display an image (relative to the story file)
+     # CLASS: name -- style the line with the name (as a Style_name class)
+     # CLEAR -- clear the story window
+   Other tags are ignored. Images are displayed before the line, and the
+   window is cleared before either.
+   Returns the style to use for the line.
+*/
+function apply_tags(tags)
+{
+    var style = undefined;
+    for (var ix=0; ix<tags.length; ix++) {
+        var tag = tags[ix];
+        var key = tag;
+        var val = '';
+        var pos = tag.indexOf(':');
+        if (pos >= 0) {
+            key = tag.slice(0, pos);
+            val = tag.slice(pos+1).trim();
+        }
+        key = key.trim().toUpperCase();
+
+        switch (key) {
+        case 'CLEAR':
+            scrollback.length = 0;
+            game_streamout.length = 0;
+            clear_window = true;
+            inkhistory.note_clear();
+            break;
+        case 'IMAGE':
+            if (val)
+                say_image(val);
+            break;
+        case 'CLASS':
+            if (val.match(/^[A-Za-z0-9_-]+$/))
+                style = val;
+            break;
+        }
+    }
+    return style;
+}
+
+/* Display an image, on a line by itself. The filename is relative to the
+   story file. Images wider than the window are scaled down.
+*/
+function say_image(filename)
+{
+    var path = filename;
+    if (all_options.ink_game_path)
+        path = path_mod.resolve(path_mod.dirname(all_options.ink_game_path), filename);
+
+    var size = null;
+    try {
+        var img = nativeImage.createFromPath(path);
+        if (!img.isEmpty())
+            size = img.getSize();
+    }
+    catch (ex) { }
+
+    if (!size) {
+        say('[Unable to load image: ' + filename + ']', 'alert');
+        return;
+    }
+
+    var width = size.width;
+    var height = size.height;
+    if (game_metrics) {
+        var maxwidth = game_metrics.width - 2*(game_metrics.outspacingx || 0) - 2*(game_metrics.buffermarginx || 0);
+        if (maxwidth > 0 && width > maxwidth) {
+            height = Math.round(height * maxwidth / width);
+            width = maxwidth;
+        }
+    }
+
+    game_streamout.push({ content: [
+                { special:'image', url:file_url(path), width:width, height:height,
+                  alignment:'inlineup', alttext:filename }
+            ] });
+}
+
+/* Divide a list of output lines into reveal steps. Each non-blank line
+   of story text is a step (blank lines go along with the following
+   line). The choice list, starting at choices_pos, is a single step.
+*/
+function queue_reveal(lines)
+{
+    var textlines = lines;
+    var choicelines = [];
+    if (choices_pos !== null && choices_pos <= lines.length) {
+        textlines = lines.slice(0, choices_pos);
+        choicelines = lines.slice(choices_pos);
+    }
+
+    var step = [];
+    for (var ix=0; ix<textlines.length; ix++) {
+        step.push(textlines[ix]);
+        if (textlines[ix].content) {
+            reveal_queue.push(step);
+            step = [];
+        }
+    }
+    step = step.concat(choicelines);
+    if (step.length)
+        reveal_queue.push(step);
+}
+
+/* How long to wait before revealing the next step, in milliseconds.
+   Longer paragraphs get more time. */
+function reveal_delay(step)
+{
+    var len = 0;
+    for (var ix=0; ix<step.length; ix++) {
+        var content = step[ix].content;
+        if (!content)
+            continue;
+        for (var jx=0; jx<content.length; jx++) {
+            if (typeof(content[jx]) == 'string')
+                len += content[jx].length;
+            else if (content[jx].text)
+                len += content[jx].text.length;
+        }
+    }
+    return Math.min(2000, 250 + 12*len);
+}
+
+/* Show everything that's waiting to be revealed. */
+function reveal_skip()
+{
+    if (!reveal_queue.length)
+        return;
+    var all = [];
+    for (var ix=0; ix<reveal_queue.length; ix++)
+        all = all.concat(reveal_queue[ix]);
+    reveal_queue = [ all ];
+    reveal_advance = true;
+}
+
+/* Change the presentation mode ('plain' or 'slow'). This takes effect at
+   the next choice. */
+function set_presentation(val)
+{
+    all_options.ink_presentation = val;
+}
+
+/* Step back to the previous choice point. The story window is redrawn
+   with the scrollback as it was then. Calling this repeatedly rewinds
+   further. Returns false if there is nothing to rewind to.
+*/
+function rewind_choice()
+{
+    if (!story || !rewind_history.length)
+        return false;
+
+    var entry = rewind_history.pop();
+    try {
+        story.state.jsonToken = entry.ink;
+    }
+    catch (ex) {
+        GlkOte.error("Unable to rewind: " + show_exception(ex));
+        return false;
+    }
+    game_turn = entry.turn;
+    game_quit = false;
+
+    scrollback.length = 0;
+    game_streamout.length = 0;
+    reveal_queue = [];
+    reveal_pending = false;
+    inkhistory.rewind(entry.history, entry.scrollback.length);
+    for (var ix=0; ix<entry.scrollback.length; ix++)
+        game_streamout.push(entry.scrollback[ix]);
+    clear_window = true;
+
+    game_select();
+    return true;
+}
+
+/* Return a description of the story's current state, for the debug
+   panel:
+     path: the current (or most recent) story path, or null
+     tags: tags seen since the last choice
+     variables: list of { name, value, type }
+     visits: list of { path, count }
+   The type of a variable is 'number' or 'string' for values that can be
+   edited, or 'other' for lists and divert targets.
+*/
+function debug_state()
+{
+    var res = { path:null, tags:last_tags.slice(0), variables:[], visits:[] };
+    if (!story)
+        return res;
+
+    var pathobj = story.state.currentPath;
+    if (!pathobj && story.state.previousContentObject)
+        pathobj = story.state.previousContentObject.path;
+    if (pathobj)
+        res.path = pathobj.componentsString;
+
+    var globals = story.variablesState._globalVariables;
+    for (var name in globals) {
+        var val = story.variablesState.$(name);
+        var type = typeof(val);
+        if (type != 'number' && type != 'string') {
+            type = 'other';
+            val = (val === null) ? 'null' : val.toString();
+        }
+        res.variables.push({ name:name, value:val, type:type });
+    }
+    res.variables.sort((a, b) => a.name.localeCompare(b.name));
+
+    var visits = story.state.visitCounts;
+    for (var key in visits)
+        res.visits.push({ path:key, count:visits[key] });
+    res.visits.sort((a, b) => a.path.localeCompare(b.path));
+
+    return res;
+}
+
+/* Change the value of a global variable. The new value takes effect
+   when the story next continues. Throws an exception if the variable
+   doesn't exist or the value is invalid.
+*/
+function debug_set_variable(name, val)
+{
+    story.variablesState.$(name, val);
+}
+
+/* Change the visit count of a story path. */
+function debug_set_visit_count(path, count)
+{
+    story.state.visitCounts[path] = count;
+}
+
 /* Create (or erase) an autosave file.
 */
 function perform_autosave(clear)
@@ -184,6 +512,7 @@ function perform_autosave(clear)
         ink: story.state.jsonToken,
         turn: game_turn,
         scrollback: scrollback.slice(0),
+        history: inkhistory.state(),
         glkote: GlkOte.save_allstate()
     };
 
@@ -198,6 +527,7 @@ function perform_autorestore(snapshot)
 {
     story.state.jsonToken = snapshot.ink;
     game_turn = snapshot.turn;
+    inkhistory.resume(snapshot.history, snapshot.scrollback);
 
     for (var ix=0; ix<snapshot.scrollback.length; ix++)
         game_streamout.push(snapshot.scrollback[ix]);
@@ -211,6 +541,11 @@ window.GiLoad = {
     load_run: load_run,
     get_metadata: get_metadata,
     get_game_signature: get_game_signature,
+    rewind_choice: rewind_choice,
+    set_presentation: set_presentation,
+    debug_state: debug_state,
+    debug_set_variable: debug_set_variable,
+    debug_set_visit_count: debug_set_visit_count,
 };
 
 
@@ -221,8 +556,18 @@ var game_quit = false;
 
 function startup() 
 {
+    /* In slow presentation mode, a click anywhere shows all the waiting
+       text. (So does a keystroke; see game_accept.) */
+    $('#windowport').on('click', function() {
+        if (reveal_queue.length) {
+            reveal_skip();
+            game_select();
+        }
+    });
+
     if (all_options.clear_vm_autosave) {
         Dialog.autosave_write(signature, null);
+        inkhistory.discard();
     }
     if (all_options.do_vm_autosave && !all_options.clear_vm_autosave) {
         try {
@@ -242,6 +587,7 @@ function startup()
     }
 
     /* Do the initial game output. */
+    inkhistory.start_fresh([]);
     say('\n\n\n');
     game_cycle();
 }
@@ -321,6 +667,14 @@ function game_accept(res)
     else if (res.type == 'arrange') {
         game_metrics = res.metrics;
     }
+    else if (res.type == 'timer') {
+        reveal_advance = true;
+    }
+    else if (reveal_queue.length && (res.type == 'char' || res.type == 'hyperlink')) {
+        /* A keystroke during the reveal shows the rest of the text,
+           rather than choosing. */
+        reveal_skip();
+    }
     else if (res.type == 'hyperlink') {
         var ls = res.value.split(':');
         if (ls.length == 2) {
@@ -370,33 +724,64 @@ function game_select()
           height: pheight-(metrics.outspacingy+metrics.outspacingy) }
     ];
     
+    var lines = game_streamout.slice(0);
+    game_streamout.length = 0;
+
+    /* Everything goes into the scrollback right away, even if it will
+       be revealed gradually, so that the autosave has all of it. */
+    for (var ix=0; ix<lines.length; ix++)
+        scrollback.push(lines[ix]);
+    if (scrollback.length > 100)
+        scrollback.splice(0, scrollback.length-100);
+    inkhistory.append(lines);
+
+    if (reveal_pending && !autorestore_glkstate) {
+        queue_reveal(lines);
+        lines = [];
+        reveal_advance = true;
+    }
+    reveal_pending = false;
+    choices_pos = null;
+
+    if (reveal_advance && reveal_queue.length)
+        lines = lines.concat(reveal_queue.shift());
+    reveal_advance = false;
+
     var argc = [ ];
-    if (game_streamout.length) {
+    if (lines.length || clear_window) {
         var obj = { id: 1 };
-        if (game_streamout.length) {
-            obj.text = game_streamout.slice(0);
-
-            for (var ix=0; ix<obj.text.length; ix++)
-                scrollback.push(obj.text[ix]);
-            if (scrollback.length > 100)
-                scrollback.splice(0, scrollback.length-100);
-        }
-        game_streamout.length = 0;
+        if (clear_window)
+            obj.clear = true;
+        clear_window = false;
+        if (lines.length)
+            obj.text = lines;
         argc.push(obj);
     }
     
     
     var argi = [];
 
-    if (!game_quit) {
+    /* We keep accepting keystrokes while text is being revealed, even
+       after the game ends, so that the player can skip ahead. */
+    var revealing = (reveal_queue.length > 0);
+    if (!game_quit || revealing) {
         argi.push({ id: 1, gen: game_generation, type: 'char', hyperlink: true });
     }
     
     var arg = { type:'update', gen:game_generation, windows:argw, content:argc, input:argi };
 
-    if (game_quit) {
+    if (game_quit && !revealing) {
         arg.disable = true;
     }
+
+    if (revealing) {
+        arg.timer = reveal_delay(reveal_queue[0]);
+        reveal_timer_on = true;
+    }
+    else if (reveal_timer_on) {
+        arg.timer = null;
+        reveal_timer_on = false;
+    }
     
     /* If we're doing an autorestore, autorestore_glkstate will 
        contain additional setup information for the first update()
@@ -406,10 +791,82 @@ function game_select()
     autorestore_glkstate = null;
 
     GlkOte.update(arg);
+
+    if (!history_scroll_attached) {
+        var winel = $('#window1');
+        if (winel.length) {
+            winel.on('scroll', evhan_history_scroll);
+            history_scroll_attached = true;
+        }
+    }
     
     if (all_options.do_vm_autosave) {
         perform_autosave(game_quit);
     }
+    if (window.InkDebug)
+        InkDebug.update();
+}
+
+/* When the player scrolls to the top of the story window, display
+   older lines from the history file (if there are any that aren't
+   displayed). We keep the scroll position where it was, so the new
+   lines appear above.
+*/
+function evhan_history_scroll(ev)
+{
+    var el = ev.target;
+    if (el.scrollTop > 0)
+        return;
+
+    var lines = inkhistory.older_lines(100);
+    if (!lines.length)
+        return;
+
+    var oldheight = el.scrollHeight;
+    $(el).prepend(render_history_lines(lines));
+    el.scrollTop = el.scrollHeight - oldheight;
+}
+
+/* Convert output lines (in GlkOte's update format) to BufferLine
+   elements. This is a simple version of what GlkOte does; hyperlinks
+   are displayed as plain text, since old choices can't be chosen.
+*/
+function render_history_lines(lines)
+{
+    var res = [];
+    for (var ix=0; ix<lines.length; ix++) {
+        var line = lines[ix];
+        var el;
+        if (line.append && res.length) {
+            el = res[res.length-1];
+        }
+        else {
+            el = $('<div>', { 'class':'BufferLine' });
+            res.push(el);
+        }
+
+        var content = line.content;
+        if (!content || !content.length) {
+            el.addClass('BlankLine');
+            el.append($('<span>', { 'class':'Style_normal' }).text('\u00A0'));
+            continue;
+        }
+
+        for (var jx=0; jx<content.length; jx++) {
+            var item = content[jx];
+            if (typeof(item) == 'string') {
+                jx++;
+                el.append($('<span>', { 'class':'Style_'+item }).text(content[jx]));
+            }
+            else if (item.special == 'image') {
+                el.append($('<img>', { src:item.url, width:item.width, height:item.height, alt:(item.alttext || '') }));
+            }
+            else {
+                el.append($('<span>', { 'class':'Style_'+(item.style || 'normal') }).text(item.text));
+            }
+        }
+    }
+    return res;
 }
 
 /* Exception objects are hard to display in Javascript. This is a rough
@@ -0,0 +1,237 @@
+'use strict';
+const electron = require('electron');
+const path_mod = require('path');
+
+const blorb = require('./blorb.js');
+
+/* The most recent list of library entries sent by the app. */
+var entries = [];
+/* The most recent list of library folders sent by the app. */
+var folders = [];
+/* Maps game pathnames to cover image URLs (or null), so that we only
+   read each cover once. */
+var cover_cache = {};
+
+/* Comparison functions for the sort menu. Each returns entries in the
+   order the player would expect for that key: titles alphabetically,
+   the most recently played (or most played) games first.
+*/
+const sortfuncs = {
+    title: function(a, b) {
+        return compare_titles(a, b);
+    },
+    format: function(a, b) {
+        var res = (a.format || '').localeCompare(b.format || '');
+        if (res)
+            return res;
+        return compare_titles(a, b);
+    },
+    lastplayed: function(a, b) {
+        return (b.lastplayed || 0) - (a.lastplayed || 0);
+    },
+    playtime: function(a, b) {
+        return (b.playtime || 0) - (a.playtime || 0);
+    }
+};
+
+function compare_titles(a, b)
+{
+    var ta = (a.title || '').toLowerCase();
+    var tb = (b.title || '').toLowerCase();
+    return ta.localeCompare(tb);
+}
+
+/* Return whether an entry matches the search string. Every word in
+   the search string must appear in the title, author, format, IFID,
+   filename, or tags.
+*/
+function entry_matches(entry, words)
+{
+    if (!words.length)
+        return true;
+
+    var hay = [ entry.title, entry.author, entry.format, entry.ifid ];
+    if (entry.path)
+        hay.push(path_mod.basename(entry.path));
+    if (entry.tags)
+        hay = hay.concat(entry.tags);
+    hay = hay.filter(val => val).join(' ').toLowerCase();
+
+    for (var ix=0; ix<words.length; ix++) {
+        if (hay.indexOf(words[ix]) < 0)
+            return false;
+    }
+    return true;
+}
+
+function format_date(val)
+{
+    if (!val)
+        return '--';
+    return new Date(val).toLocaleString();
+}
+
+function format_playtime(val)
+{
+    var mins = Math.floor((val || 0) / 60000);
+    if (mins < 1)
+        return '< 1m';
+    var hours = Math.floor(mins / 60);
+    mins = mins % 60;
+    if (!hours)
+        return mins + 'm';
+    return hours + 'h ' + mins + 'm';
+}
+
+/* Parse the contents of a tag field: comma-separated, with blanks and
+   duplicates dropped. */
+function parse_tags(val)
+{
+    var ls = val.split(',');
+    ls = ls.map(val => val.trim());
+    ls = ls.filter((val, ix) => (val.length && ls.indexOf(val) == ix));
+    return ls;
+}
+
+/* Rebuild the table from the entries list, applying the current search
+   string and sort order. */
+function rebuild_list()
+{
+    var words = $('#input-search').val().toLowerCase().split(/\s+/);
+    words = words.filter(val => val.length);
+
+    var sortkey = $('#sel-sort').val();
+    var sortfunc = sortfuncs[sortkey] || sortfuncs.lastplayed;
+
+    var ls = entries.filter(entry => entry_matches(entry, words));
+    ls.sort(sortfunc);
+
+    var bodyel = $('#gamelist tbody');
+    bodyel.empty();
+
+    for (var ix=0; ix<ls.length; ix++)
+        bodyel.append(construct_row(ls[ix]));
+
+    if (!entries.length) {
+        $('#gamelist').css('display', 'none');
+        $('#empty').css('display', 'block');
+    }
+    else {
+        $('#gamelist').css('display', 'table');
+        $('#empty').css('display', 'none');
+    }
+}
+
+function construct_row(entry)
+{
+    var key = entry.key;
+    var path = entry.path;
+    var rowel = $('<tr>', { 'class':'GameRow' });
+    if (entry.ifid)
+        rowel.attr('title', 'IFID: ' + entry.ifid);
+    if (entry.unplayed)
+        rowel.addClass('Unplayed');
+
+    var cellel = $('<td>');
+    if (entry.cover) {
+        var url = cover_url(path);
+        if (url)
+            cellel.append($('<img>', { 'class':'Cover', src:url, alt:'' }));
+    }
+    var titleel = $('<div>', { 'class':'Title' }).text(entry.title);
+    titleel.on('click', function() {
+        electron.ipcRenderer.send('library_launch', path);
+    });
+    cellel.append(titleel);
+    if (entry.author)
+        cellel.append($('<div>', { 'class':'Author' }).text('by ' + entry.author));
+    if (entry.path)
+        cellel.append($('<div>', { 'class':'Path' }).text(entry.path));
+    rowel.append(cellel);
+
+    rowel.append($('<td>').text(entry.format || '--'));
+    rowel.append($('<td>').text(format_date(entry.lastplayed)));
+    rowel.append($('<td>').text(format_playtime(entry.playtime)));
+
+    if (entry.unplayed) {
+        /* Games from library folders can't be tagged or removed until
+           they've been played. (They would come right back at the next
+           folder scan.) */
+        rowel.append($('<td>'));
+        rowel.append($('<td>'));
+        return rowel;
+    }
+
+    var tagsel = $('<input>', { 'class':'Tags', type:'text' });
+    if (entry.tags)
+        tagsel.val(entry.tags.join(', '));
+    tagsel.on('change', function() {
+        var tags = parse_tags(tagsel.val());
+        entry.tags = tags;
+        tagsel.val(tags.join(', '));
+        electron.ipcRenderer.send('library_set_tags', key, tags);
+    });
+    rowel.append($('<td>').append(tagsel));
+
+    var removeel = $('<button>', { 'class':'Remove', title:'Remove from library' }).text('\u2716');
+    removeel.on('click', function() {
+        electron.ipcRenderer.send('library_remove', key);
+    });
+    rowel.append($('<td>').append(removeel));
+
+    return rowel;
+}
+
+/* Return the cover image URL for a game file, or null. */
+function cover_url(path)
+{
+    if (cover_cache[path] === undefined)
+        cover_cache[path] = blorb.cover_image_url(path);
+    return cover_cache[path];
+}
+
+/* Rebuild the list of library folders. */
+function rebuild_folders()
+{
+    var listel = $('#folderlist');
+    listel.empty();
+
+    for (var ix=0; ix<folders.length; ix++)
+        listel.append(construct_folder(folders[ix]));
+}
+
+function construct_folder(dir)
+{
+    var el = $('<div>', { 'class':'Folder' });
+
+    var removeel = $('<button>', { 'class':'Remove', title:'Stop watching this folder' }).text('\u2716');
+    removeel.on('click', function() {
+        electron.ipcRenderer.send('library_remove_folder', dir);
+    });
+    el.append(removeel);
+    el.append(' ');
+    el.append($('<span>').text(dir));
+
+    return el;
+}
+
+$(document).ready(function() {
+    $('#input-search').on('input', rebuild_list);
+    $('#sel-sort').on('change', rebuild_list);
+    $('#button-add-folder').on('click', function() {
+        electron.ipcRenderer.send('library_add_folder');
+    });
+});
+
+/* Respond to messages from the app. */
+
+electron.ipcRenderer.on('current-library', function(ev, arg) {
+    entries = arg.games;
+    folders = arg.folders;
+    rebuild_folders();
+    /* Don't rebuild while the player is editing a tag field; the
+       rebuild would throw away their typing. */
+    if ($(document.activeElement).hasClass('Tags'))
+        return;
+    rebuild_list();
+});
@@ -1,9 +1,17 @@
 'use strict';
 const electron = require('electron');
 const app = electron.app;
+const crypto = require('crypto');
 const fs = require('fs');
 const path_mod = require('path');
 
+const blorb = require('./blorb.js');
+const engines = require('./engines/registry.js');
+const ifid_mod = require('./ifid.js');
+const replay_mod = require('./replay.js');
+const themes = require('./themes.js');
+const userfonts = require('./userfonts.js');
+
 var package_json = {}; /* parsed form of our package.json file */
 var main_extension = {}; /* extra code for bound games */
 
@@ -13,21 +21,66 @@ var gamewins = {}; /* maps window ID to a game structure */
 var aboutwin = null; /* the splash/about window, if active */
 var cardwin = null; /* the postcard window, if active */
 var prefswin = null; /* the preferences window, if active */
+var librarywin = null; /* the game library window, if active */
+var saveswin = null; /* the save manager window, if active */
+var saveswin_game = null; /* the game whose saves saveswin is showing */
+var themeswin = null; /* the theme editor window, if active */
+var themeswin_select = null; /* the theme key the theme editor should select next */
 var gamedialog = false; /* track whether the game-open dialog is visible */
+var focused_game = null; /* the most recently focused game window */
+var prefs_scope_game = null; /* the game whose prefs the prefs window is editing, or null for all games */
 
 var prefs = {
     gamewin_width: 600,
     gamewin_height: 800,
     gamewin_marginlevel: 1,
     gamewin_colortheme: 'light',
+    autotheme_light: 'light', /* the theme the 'auto' color theme uses by day */
+    autotheme_dark: 'dark', /* ...and by night */
+    autotheme_mode: ((process.platform == 'darwin') ? 'system' : 'schedule'), /* 'system' (follow the OS; MacOS only) or 'schedule' */
+    autotheme_darkstart: '20:00', /* the dark schedule, as 'HH:MM' */
+    autotheme_darkend: '07:00',
     gamewin_font: 'lora',
     gamewin_customfont: null,
-    gamewin_zoomlevel: 0
+    gamewin_zoomlevel: 0,
+    gamewin_lineheight: 1.4,
+    gamewin_paraspacing: 0, /* in ems */
+    gamewin_columnwidth: 0, /* in characters; 0 for no limit */
+    gamewin_justify: false,
+    gamewin_hyphenate: false,
+    gamewin_monofont: 'sourcecodepro',
+    gamewin_custommonofont: null,
+    autosave_rolling_count: 5,
+    gamewin_inkpresentation: 'plain',
+    transcript_always: false,
+    transcript_format: 'text',
+    custom_themes: {}, /* maps 'custom:N' theme keys to theme objects (see themes.js) */
+    game_overrides: {} /* maps game key (see game_key) to appearance prefs */
 };
 var prefspath = path_mod.join(app.getPath('userData'), 'lectrote-prefs.json');
 var prefstimer = null;
 var prefswriting = false;
 
+var library = {
+    games: {}, /* maps game key (see game_key) to a library entry */
+    catalog: {} /* maps pathname to a game found in a library folder */
+};
+var librarypath = path_mod.join(app.getPath('userData'), 'lectrote-library.json');
+var librarytimer = null;
+var librarywriting = false;
+
+var savespath = path_mod.join(app.getPath('userData'), 'saves');
+var inkstorepath = path_mod.join(app.getPath('userData'), 'inkstore');
+var inkhistorypath = path_mod.join(app.getPath('userData'), 'inkhistory');
+var transcriptspath = path_mod.join(app.getPath('userData'), 'transcripts');
+var userfontspath = path_mod.join(app.getPath('userData'), 'fonts');
+var user_fonts = []; /* the font files in userfontspath (see userfonts.scan_fonts) */
+var catalog_watchers = {}; /* maps directory path to an fs.FSWatcher */
+var catalog_queue = []; /* paths waiting to be scanned */
+var catalog_queued = new Set(); /* the same paths, for quick lookup */
+var catalog_scanning = false; /* true while the scan loop is running */
+var catalog_changed = false; /* true if the scan has altered the catalog */
+
 var app_ready = false; /* true once the ready event occurs */
 var app_quitting = false; /* true once the will-quit event occurs */
 var launch_paths = []; /* game files passed in before app_ready */
@@ -36,6 +89,10 @@ var window_icon = null; /* icon to apply to all windows (only used on Linux) */
 
 var search_string = ''; /* recent text search in a game window */
 
+var auto_theme_is_dark = false; /* whether the 'auto' color theme is in its dark phase */
+
+var headless = null; /* options for a --headless run, or null */
+
 /* Return a list of all open game objects. */
 function game_list()
 {
@@ -213,16 +270,290 @@ function zoom_factor_for_level(val)
     return Math.exp(val * 0.09531017980432493);
 }
 
-/* Send the current zoom factor to all game windows.
+/* Send the current zoom factor to all game windows. (Each game may have
+   its own; see game_pref.)
 */
-function set_zoom_factor_all(val)
+function set_zoom_factor_all()
 {
     for (var id in gamewins) {
         var game = gamewins[id];
+        var val = zoom_factor_for_level(game_pref(game, 'gamewin_zoomlevel'));
         invoke_app_hook(game.win, 'set_zoom_factor', val);
     }
     if (main_extension.set_zoom_factor)
-        main_extension.set_zoom_factor(val);
+        main_extension.set_zoom_factor(zoom_factor_for_level(prefs.gamewin_zoomlevel));
+}
+
+/* Change the zoom level from the View menu. If the window's game has
+   its own zoom level, that's what changes; otherwise the global one
+   does. A delta of zero means back to normal.
+*/
+function menu_zoom_level(win, delta)
+{
+    var overrides = game_overrides(game_for_window(win));
+    var obj = prefs;
+    if (overrides && overrides.gamewin_zoomlevel !== undefined)
+        obj = overrides;
+
+    var val = (delta ? obj.gamewin_zoomlevel + delta : 0);
+    obj.gamewin_zoomlevel = Math.max(-6, Math.min(6, val));
+    note_prefs_dirty();
+    set_zoom_factor_all();
+    send_prefs_state();
+}
+
+/* Return a game's appearance overrides (an object containing some of
+   the gamewin_font, gamewin_customfont, gamewin_colortheme,
+   gamewin_marginlevel, gamewin_zoomlevel, and typography prefs), or
+   null if it has none.
+*/
+function game_overrides(game)
+{
+    var key = (game ? game_key(game) : null);
+    if (!key)
+        return null;
+    return prefs.game_overrides[key] || null;
+}
+
+/* Return the value of an appearance pref for a game: its own value if
+   it has one, otherwise the global pref.
+*/
+function game_pref(game, key)
+{
+    var overrides = game_overrides(game);
+    if (overrides && overrides[key] !== undefined)
+        return overrides[key];
+    return prefs[key];
+}
+
+/* Store an appearance pref which the prefs window has changed. It goes
+   into the overrides of the game the prefs window is editing, if any;
+   otherwise into the global prefs. An override which is set back to the
+   global value is removed, so the game follows the global pref again.
+*/
+function set_appearance_pref(key, val)
+{
+    var gamekey = (prefs_scope_game ? game_key(prefs_scope_game) : null);
+    if (gamekey) {
+        var overrides = prefs.game_overrides[gamekey];
+        if (val === prefs[key]) {
+            if (overrides) {
+                delete overrides[key];
+                if (!Object.keys(overrides).length)
+                    delete prefs.game_overrides[gamekey];
+            }
+        }
+        else {
+            if (!overrides)
+                overrides = prefs.game_overrides[gamekey] = {};
+            overrides[key] = val;
+        }
+    }
+    else {
+        prefs[key] = val;
+    }
+    note_prefs_dirty();
+}
+
+/* Maps the fields of the set_typography hook's argument to the prefs
+   they come from. */
+const typography_prefs = {
+    lineheight: 'gamewin_lineheight',
+    paraspacing: 'gamewin_paraspacing',
+    columnwidth: 'gamewin_columnwidth',
+    justify: 'gamewin_justify',
+    hyphenate: 'gamewin_hyphenate',
+    monofont: 'gamewin_monofont',
+    custommonofont: 'gamewin_custommonofont'
+};
+
+/* Return the argument for a game's set_typography hook. */
+function game_typography(game)
+{
+    var obj = {};
+    for (var field in typography_prefs)
+        obj[field] = game_pref(game, typography_prefs[field]);
+    return obj;
+}
+
+/* Rescan the player's fonts directory, and send the font list to
+   every game window. (The prefs window gets it with the prefs.)
+*/
+function refresh_user_fonts()
+{
+    user_fonts = userfonts.scan_fonts(userfontspath);
+    for (var id in gamewins) {
+        var game = gamewins[id];
+        invoke_app_hook(game.win, 'set_user_fonts', user_fonts);
+    }
+}
+
+/* Copy a font file into the player's fonts directory. If a different
+   file of the same name is already there, the copy gets a numbered
+   name ("Foo-2.ttf") rather than replacing it. Returns the new file's
+   name, or null if the identical file was already imported.
+*/
+function import_font_file(path)
+{
+    var dat = fs.readFileSync(path);
+    var ext = path_mod.extname(path);
+    var base = path_mod.basename(path, ext);
+    var filename = base + ext;
+    var count = 1;
+    while (true) {
+        var destpath = path_mod.join(userfontspath, filename);
+        if (!fs.existsSync(destpath))
+            break;
+        if (dat.equals(fs.readFileSync(destpath)))
+            return null;
+        count++;
+        filename = base + '-' + count + ext;
+    }
+
+    ensure_dir(userfontspath);
+    fs.writeFileSync(destpath, dat);
+    return filename;
+}
+
+/* Send all the appearance prefs to a game window. */
+function apply_game_prefs(game)
+{
+    invoke_app_hook(game.win, 'set_user_fonts', user_fonts);
+    invoke_app_hook(game.win, 'set_margin_level', game_pref(game, 'gamewin_marginlevel'));
+    invoke_app_hook(game.win, 'set_color_theme', color_theme_arg(game_pref(game, 'gamewin_colortheme')));
+    invoke_app_hook(game.win, 'set_font', { font:game_pref(game, 'gamewin_font'), customfont:game_pref(game, 'gamewin_customfont') });
+    invoke_app_hook(game.win, 'set_typography', game_typography(game));
+    invoke_app_hook(game.win, 'set_zoom_factor', zoom_factor_for_level(game_pref(game, 'gamewin_zoomlevel')));
+}
+
+/* Return the argument for the set_color_theme hook: a built-in theme
+   key, or the custom theme object. The 'auto' theme resolves to its
+   light or dark theme, depending on the time or the OS. A custom theme
+   which has been deleted falls back to the Light theme.
+*/
+function color_theme_arg(key)
+{
+    if (key == 'auto')
+        key = (auto_theme_is_dark ? prefs.autotheme_dark : prefs.autotheme_light);
+    if (!themes.is_custom_key(key))
+        return key;
+    return prefs.custom_themes[key] || 'light';
+}
+
+/* Send every game window its color theme. */
+function set_color_theme_all()
+{
+    for (var id in gamewins) {
+        var game = gamewins[id];
+        invoke_app_hook(game.win, 'set_color_theme', color_theme_arg(game_pref(game, 'gamewin_colortheme')));
+    }
+}
+
+/* Return whether the 'auto' color theme should be dark right now.
+
+   In 'system' mode we follow the OS appearance. Electron can only tell
+   us that on MacOS, so on other platforms we fall back to the
+   schedule.
+*/
+function auto_theme_dark_now()
+{
+    if (prefs.autotheme_mode == 'system' && process.platform == 'darwin')
+        return electron.systemPreferences.isDarkMode();
+
+    var parse_time = function(val) {
+        var match = (val || '').match(/^(\d+):(\d+)/);
+        if (!match)
+            return 0;
+        return 60 * parseInt(match[1]) + parseInt(match[2]);
+    };
+
+    var date = new Date();
+    var now = 60 * date.getHours() + date.getMinutes();
+    var start = parse_time(prefs.autotheme_darkstart);
+    var end = parse_time(prefs.autotheme_darkend);
+
+    if (start <= end)
+        return (now >= start && now < end);
+    else
+        return (now >= start || now < end); /* the dark span crosses midnight */
+}
+
+/* See whether the 'auto' color theme has changed between light and
+   dark. If so (or if force is set), update every game window and the
+   prefs window. This is called every minute, when the OS appearance
+   changes, and when the automatic theme prefs change.
+*/
+function auto_theme_check(force)
+{
+    var val = auto_theme_dark_now();
+    if (val == auto_theme_is_dark && !force)
+        return;
+    auto_theme_is_dark = val;
+    set_color_theme_all();
+    send_prefs_state();
+}
+
+/* Begin watching the clock and the OS appearance for the 'auto' color
+   theme. Called once at app startup. */
+function auto_theme_start()
+{
+    auto_theme_is_dark = auto_theme_dark_now();
+
+    setInterval(function() { auto_theme_check(false); }, 60000);
+
+    if (process.platform == 'darwin') {
+        electron.systemPreferences.subscribeNotification('AppleInterfaceThemeChangedNotification', function() {
+            auto_theme_check(false);
+        });
+    }
+}
+
+/* Return an unused key for a new custom theme. */
+function new_custom_theme_key()
+{
+    var num = 1;
+    while (prefs.custom_themes['custom:'+num])
+        num++;
+    return 'custom:'+num;
+}
+
+/* Send the custom themes to the theme editor window. */
+function send_themes_state()
+{
+    if (!themeswin)
+        return;
+
+    var arg = {
+        themes: prefs.custom_themes,
+        select: themeswin_select
+    };
+    themeswin_select = null;
+    themeswin.webContents.send('current-themes', arg);
+}
+
+/* Send the prefs to the prefs window, along with the game it can
+   offer to edit (the most recently focused one) and which scope it is
+   editing.
+*/
+function send_prefs_state()
+{
+    if (!prefswin)
+        return;
+
+    var arg = {
+        prefs: prefs,
+        scope: (prefs_scope_game ? 'game' : 'all'),
+        game: null,
+        autodark: auto_theme_is_dark,
+        userfonts: user_fonts
+    };
+    if (focused_game && game_key(focused_game)) {
+        arg.game = {
+            title: focused_game.title || path_mod.basename(focused_game.path),
+            overrides: game_overrides(focused_game) || {}
+        };
+    }
+    prefswin.webContents.send('current-prefs', arg);
 }
 
 /* Set up a window-options object (for creating a BrowserWindow) to have
@@ -327,112 +658,882 @@ function write_prefs_now()
     }
 }
 
-/* Call one of the functions in apphooks.js (in the game renderer process).
-   The argument is passed as a JSON string.
+/* Called only at app startup. */
+function load_library()
+{
+    try {
+        var librarystr = fs.readFileSync(librarypath, { encoding:'utf8' });
+        var obj = JSON.parse(librarystr);
+        for (var key in obj) {
+            library[key] = obj[key];
+        }
+    }
+    catch (ex) {
+        /* console.error('load_library: unable to load library: %s: %s', librarypath, ex); */
+    }
+
+    /* Entries from before we had IFIDs were keyed by signature. */
+    for (var key in library.games) {
+        var entry = library.games[key];
+        if (!entry.key)
+            entry.key = key;
+    }
+}
+
+/* Called whenever we update the library object. This works the same
+   way as note_prefs_dirty(). It also sends the new library contents
+   to the library window, if that's open.
 */
-function invoke_app_hook(win, func, arg)
+function note_library_dirty()
 {
-    win.webContents.send(func, arg);
+    if (librarywin)
+        librarywin.webContents.send('current-library', library_contents());
+
+    /* If a timer is in flight, we're covered. */
+    if (librarytimer !== null)
+        return;
+    librarytimer = setTimeout(handle_write_library, 5000);
 }
 
-/* Given a pathname, figure out what kind of game it is. Currently
-   understands Glulx, Zcode, Blorb (with Glulx or Zcode), and 
-   JSON-with-ink.
+/* Callback for library-dirty timer. */
+function handle_write_library()
+{
+    librarytimer = null;
+    /* Same annoying corner case as handle_write_prefs(). */
+    if (librarywriting) {
+        note_library_dirty();
+        return;
+    }
 
-   Returns null if the game type is not recognized. Throws an exception
-   if the file is unreadable.
+    librarywriting = true;
+    var librarystr = JSON.stringify(library);
+    fs.writeFile(librarypath, librarystr, { encoding:'utf8' }, function(err) {
+            librarywriting = false;
+        });
+}
+
+/* Called when the app is shutting down. Write out the library if it's
+   dirty.
+*/
+function write_library_now()
+{
+    if (librarytimer !== null) {
+        clearTimeout(librarytimer);
+        librarytimer = null;
+        var librarystr = JSON.stringify(library);
+        fs.writeFileSync(librarypath, librarystr, { encoding:'utf8' });
+    }
+}
+
+/* Return a list of all library entries, in no particular order. The
+   library window does its own sorting and filtering.
+   This includes games found in library folders which have never been
+   played. Those entries have no key; they are marked with the unplayed
+   flag.
+*/
+function library_list()
+{
+    var ls = [];
+    var played = {};
+    for (var key in library.games) {
+        var entry = library.games[key];
+        ls.push(entry);
+        if (entry.path)
+            played[entry.path] = true;
+    }
+    for (var path in library.catalog) {
+        var found = library.catalog[path];
+        if (played[path] || (found.ifid && library.games[found.ifid]))
+            continue;
+        ls.push({
+            path: path,
+            title: found.title,
+            author: found.author,
+            ifid: found.ifid,
+            cover: found.cover,
+            format: found.format,
+            unplayed: true
+        });
+    }
+    return ls;
+}
+
+/* Return the information that the library window displays: the game
+   list and the list of library folders.
+*/
+function library_contents()
+{
+    return {
+        games: library_list(),
+        folders: (prefs.library_folders || [])
+    };
+}
+
+/* Return the key which identifies a game in the library. This is the
+   game's IFID if we could compute one, or else the signature reported
+   by the interpreter engine. Returns null if we have neither yet.
+*/
+function game_key(game)
+{
+    return game.ifid || game.signature;
+}
+
+/* Add the play time since the game's last checkpoint to its library
+   entry. This is called when the game window closes or reloads, and
+   whenever new metadata comes in.
+*/
+function library_note_playtime(game)
+{
+    var key = game_key(game);
+    if (isbound || game.headless || !key || !game.playstart)
+        return;
+
+    var now = Date.now();
+    var entry = library.games[key];
+    if (entry) {
+        entry.playtime = (entry.playtime || 0) + (now - game.playstart);
+        note_library_dirty();
+    }
+    game.playstart = now;
+}
+
+/* Create or update the library entry for a game. This is called when
+   the game window reports its metadata (which is when we learn the
+   signature).
+*/
+function library_note_game(game)
+{
+    if (isbound || game.headless || !game.signature)
+        return;
+
+    library_note_playtime(game);
+
+    var key = game_key(game);
+    var entry = library.games[key];
+    if (!entry && key != game.signature && library.games[game.signature]) {
+        /* An old entry keyed by signature; move it to the IFID. */
+        entry = library.games[game.signature];
+        delete library.games[game.signature];
+        entry.key = key;
+        library.games[key] = entry;
+    }
+    if (!entry) {
+        entry = {
+            key: key,
+            playtime: 0,
+            tags: []
+        };
+        library.games[key] = entry;
+    }
+    entry.signature = game.signature;
+
+    entry.path = game.path;
+    entry.title = game.title || path_mod.basename(game.path);
+    entry.author = game.author;
+    entry.ifid = game.ifid;
+    entry.cover = game.cover;
+    entry.format = game.format;
+    entry.lastplayed = Date.now();
+
+    game.playstart = entry.lastplayed;
+    note_library_dirty();
+}
+
+/* Create a directory (and its parent, if necessary). It's fine if it
+   already exists. */
+function ensure_dir(dir)
+{
+    try {
+        fs.accessSync(dir, fs.F_OK);
+        return;
+    }
+    catch (ex) { }
+
+    ensure_dir(path_mod.dirname(dir));
+    try {
+        fs.mkdirSync(dir);
+    }
+    catch (ex) {
+        if (ex.code != 'EEXIST')
+            throw ex;
+    }
+}
+
+/* Return the directory where a game's saves live, or null if we don't
+   know enough about the game yet.
+
+   Each save is a JSON file named by its ID, containing the snapshot
+   that the game window wrote as its autosave. The directory also
+   contains index.json, which lists the saves' metadata (so that we
+   don't have to read every snapshot to show the list).
+*/
+function saves_dir(game)
+{
+    var key = game_key(game);
+    if (!key)
+        return null;
+    key = key.replace(/[^A-Za-z0-9_-]/g, '_');
+    return path_mod.join(savespath, key);
+}
+
+/* Return the list of save metadata for a game, newest first. Each
+   entry looks like
+     { id, name, kind ('manual' or 'auto'), timestamp, turn, excerpt }
+*/
+function saves_list(game)
+{
+    var dir = saves_dir(game);
+    if (!dir)
+        return [];
+
+    try {
+        var str = fs.readFileSync(path_mod.join(dir, 'index.json'), { encoding:'utf8' });
+        var ls = JSON.parse(str);
+        ls.sort((a, b) => (b.timestamp - a.timestamp));
+        return ls;
+    }
+    catch (ex) {
+        return [];
+    }
+}
+
+function saves_write_list(game, ls)
+{
+    var dir = saves_dir(game);
+    ensure_dir(dir);
+    fs.writeFileSync(path_mod.join(dir, 'index.json'), JSON.stringify(ls), { encoding:'utf8' });
+}
+
+/* Store a new save for a game. The arg is what the game window sent
+   back from a request_snapshot call. Returns the new metadata entry.
+   If the save is an autosave, older autosaves beyond the rolling limit
+   are deleted.
+*/
+function saves_store(game, kind, name, arg)
+{
+    var dir = saves_dir(game);
+    ensure_dir(dir);
+
+    var now = Date.now();
+    var meta = {
+        id: now.toString(36) + '-' + Math.floor(Math.random() * 1679616).toString(36),
+        name: name,
+        kind: kind,
+        timestamp: now,
+        turn: arg.turn,
+        excerpt: arg.excerpt
+    };
+
+    fs.writeFileSync(path_mod.join(dir, meta.id+'.json'), JSON.stringify(arg.snapshot), { encoding:'utf8' });
+
+    var ls = saves_list(game);
+    ls.unshift(meta);
+
+    if (kind == 'auto') {
+        var count = 0;
+        ls = ls.filter(function(val) {
+            if (val.kind != 'auto')
+                return true;
+            count++;
+            if (count <= prefs.autosave_rolling_count)
+                return true;
+            try {
+                fs.unlinkSync(path_mod.join(dir, val.id+'.json'));
+            }
+            catch (ex) { }
+            return false;
+        });
+    }
+
+    saves_write_list(game, ls);
+    return meta;
+}
+
+/* Read the snapshot of a save. Throws an exception if it can't. */
+function saves_load_snapshot(game, id)
+{
+    var dir = saves_dir(game);
+    var str = fs.readFileSync(path_mod.join(dir, id+'.json'), { encoding:'utf8' });
+    return JSON.parse(str);
+}
+
+function saves_rename(game, id, name)
+{
+    var ls = saves_list(game);
+    for (var ix=0; ix<ls.length; ix++) {
+        if (ls[ix].id == id) {
+            ls[ix].name = name;
+            /* A renamed autosave is one the player wants to keep. */
+            ls[ix].kind = 'manual';
+        }
+    }
+    saves_write_list(game, ls);
+}
+
+function saves_delete(game, id)
+{
+    var dir = saves_dir(game);
+    var ls = saves_list(game);
+    ls = ls.filter(val => (val.id != id));
+    try {
+        fs.unlinkSync(path_mod.join(dir, id+'.json'));
+    }
+    catch (ex) { }
+    saves_write_list(game, ls);
+}
+
+function saves_duplicate(game, id)
+{
+    var ls = saves_list(game);
+    var orig = null;
+    for (var ix=0; ix<ls.length; ix++) {
+        if (ls[ix].id == id)
+            orig = ls[ix];
+    }
+    if (!orig)
+        return;
+
+    var arg = {
+        snapshot: saves_load_snapshot(game, id),
+        turn: orig.turn,
+        excerpt: orig.excerpt
+    };
+    saves_store(game, 'manual', orig.name + ' (copy)', arg);
+}
+
+/* Send the current save list to the save manager window, if it's open. */
+function note_saves_changed()
+{
+    if (!saveswin)
+        return;
+
+    var obj = { title:null, supported:false, saves:[] };
+    var game = saveswin_game;
+    if (game && game.win) {
+        obj.title = game.title || path_mod.basename(game.path);
+        obj.supported = (game.engine != 'hugoem') && (saves_dir(game) != null);
+        obj.saves = saves_list(game);
+    }
+    saveswin.webContents.send('current-saves', obj);
+}
+
+/* Return the pathname of the extension script for an Ink game, or null.
+   A bound game names its script in package.json. Otherwise we look for
+   a .js file next to the story file. Since such a script can do anything
+   on the player's computer, we ask before using it. We remember the
+   script's contents (as a SHA-256 hash), so we ask again if the file
+   changes.
+*/
+function ink_extension_path(path)
+{
+    if (isbound) {
+        if (!package_json.lectroteInkExtension)
+            return null;
+        return path_mod.join(__dirname, package_json.lectroteInkExtension);
+    }
+
+    var extpath = path_mod.join(path_mod.dirname(path), path_mod.basename(path, path_mod.extname(path)) + '.js');
+    var hash;
+    try {
+        var buf = fs.readFileSync(extpath);
+        hash = crypto.createHash('sha256').update(buf).digest('hex');
+    }
+    catch (ex) {
+        return null;
+    }
+
+    /* Maps script pathnames to hashes. */
+    if (!prefs.ink_trusted_scripts || typeof(prefs.ink_trusted_scripts) != 'object' || Array.isArray(prefs.ink_trusted_scripts))
+        prefs.ink_trusted_scripts = {};
+    var trusted = prefs.ink_trusted_scripts[extpath];
+    if (trusted === hash)
+        return extpath;
+
+    var message = 'This story comes with a script which provides extra functions. The script will be able to do anything on your computer. Do you want to use it?';
+    if (trusted)
+        message = 'The script which comes with this story has changed since you last allowed it. The script will be able to do anything on your computer. Do you want to use it?';
+
+    var winopts = {
+        type: 'question',
+        message: message,
+        detail: extpath,
+        buttons: ['Use Script', 'Ignore Script'],
+        cancelId: 1
+    };
+    if (window_icon)
+        winopts.icon = window_icon;
+
+    var res = electron.dialog.showMessageBox(winopts);
+    if (res == winopts.cancelId)
+        return null;
+
+    prefs.ink_trusted_scripts[extpath] = hash;
+    note_prefs_dirty();
+    return extpath;
+}
+
+/* The header of an HTML transcript file. The styles mirror the Glk
+   styles in GlkOte's stylesheet. */
+const transcript_html_header = `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>@@TITLE@@</title>
+<style type="text/css">
+body { font-family: Georgia, serif; margin: 2em; }
+.Style_emphasized { font-style: italic; }
+.Style_preformatted { font-family: monospace; }
+.Style_header { font-size: 1.4em; font-weight: bold; }
+.Style_subheader { font-weight: bold; }
+.Style_alert { font-weight: bold; color: #A00; }
+.Style_note { font-style: italic; }
+.Style_input { font-weight: bold; }
+</style>
+</head>
+<body>
+`;
+
+function escape_html(val)
+{
+    return val.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/* Start or stop recording a transcript for a game window. Each time
+   recording starts, a new file is created in the transcripts directory,
+   named by the game title and the current time.
+*/
+function set_transcript_recording(game, flag)
+{
+    if (!flag) {
+        game.transcript = null;
+        invoke_app_hook(game.win, 'set_transcript_recording', false);
+        return;
+    }
+
+    if (game.transcript)
+        return;
+
+    var format = (prefs.transcript_format == 'html') ? 'html' : 'text';
+    var title = game.title || path_mod.basename(game.path);
+    var now = new Date();
+    var pad = (val) => ((val < 10) ? ('0' + val) : ('' + val));
+    var stamp = now.getFullYear() + '-' + pad(now.getMonth()+1) + '-' + pad(now.getDate())
+        + ' ' + pad(now.getHours()) + '.' + pad(now.getMinutes()) + '.' + pad(now.getSeconds());
+    var filename = title.replace(/[\/\\:*?"<>|\x00-\x1F]/g, '_') + ' ' + stamp + ((format == 'html') ? '.html' : '.txt');
+    var path = path_mod.join(transcriptspath, filename);
+
+    var header;
+    if (format == 'html') {
+        header = transcript_html_header.replace('@@TITLE@@', escape_html(title));
+        header += '<p><em>Transcript of ' + escape_html(title) + ', ' + escape_html(now.toLocaleString()) + '</em></p>\n';
+    }
+    else {
+        header = 'Transcript of ' + title + ', ' + now.toLocaleString() + '\n\n';
+    }
+
+    try {
+        ensure_dir(transcriptspath);
+        fs.writeFileSync(path, header, { encoding:'utf8' });
+    }
+    catch (ex) {
+        electron.dialog.showErrorBox('The transcript file could not be created.', ''+ex);
+        return;
+    }
+
+    game.transcript = { path:path, format:format };
+    invoke_app_hook(game.win, 'set_transcript_recording', true);
+}
+
+/* Append lines of game output to a game's transcript. Each line is
+   { runs:[{style, text}], append }; an append line continues the
+   previous line rather than starting a new one.
+*/
+function write_transcript(game, lines)
+{
+    var transcript = game.transcript;
+    if (!transcript)
+        return;
+
+    var text = '';
+    for (var ix=0; ix<lines.length; ix++) {
+        var line = lines[ix];
+        if (!line.append)
+            text += ((transcript.format == 'html') ? '<br>\n' : '\n');
+        for (var jx=0; jx<line.runs.length; jx++) {
+            var run = line.runs[jx];
+            if (transcript.format == 'html')
+                text += '<span class="Style_' + run.style.replace(/[^A-Za-z0-9_-]/g, '') + '">' + escape_html(run.text) + '</span>';
+            else
+                text += run.text;
+        }
+    }
+
+    try {
+        fs.appendFileSync(transcript.path, text, { encoding:'utf8' });
+    }
+    catch (ex) {
+        console.log('Unable to write transcript: ' + ex);
+    }
+}
+
+/* Set the menu items which depend on the game to match the given game
+   window: the Record Transcript checkmark, and Rewind Choice (which
+   only Ink games support). (There's one application menu, so we update
+   it as windows gain focus.) */
+function update_game_menu_items(game)
+{
+    var menu = electron.Menu.getApplicationMenu();
+    if (!menu)
+        return;
+    var item = find_menu_item(menu, 'record_transcript');
+    if (item)
+        item.checked = !!(game && game.transcript);
+    item = find_menu_item(menu, 'rewind_choice');
+    if (item)
+        item.enabled = !!(game && game.engine == 'inkjs');
+}
+
+/* Search a menu (recursively) for the item with a given ID. */
+function find_menu_item(menu, id)
+{
+    for (var ix=0; ix<menu.items.length; ix++) {
+        var item = menu.items[ix];
+        if (item.id == id)
+            return item;
+        if (item.submenu) {
+            var res = find_menu_item(item.submenu, id);
+            if (res)
+                return res;
+        }
+    }
+    return null;
+}
+
+/* Return whether a pathname is the given directory or inside it. */
+function path_is_within(path, dir)
+{
+    return (path == dir || path.startsWith(dir + path_mod.sep));
+}
+
+/* Begin watching every library folder. This is called at startup, and
+   rescans the folders to catch changes made while we weren't running.
+*/
+function catalog_start()
+{
+    if (isbound)
+        return;
+
+    var folders = prefs.library_folders || [];
+
+    /* Drop cached entries which aren't in any library folder (perhaps
+       because the prefs file was edited). */
+    for (var path in library.catalog) {
+        if (!folders.some(dir => path_is_within(path, dir))) {
+            delete library.catalog[path];
+            catalog_changed = true;
+        }
+    }
+    if (catalog_changed) {
+        catalog_changed = false;
+        note_library_dirty();
+    }
+
+    for (var ix=0; ix<folders.length; ix++)
+        catalog_scan_path(folders[ix]);
+}
+
+/* Add a folder to the library folder list, and scan it. */
+function catalog_add_folder(dir)
+{
+    var folders = prefs.library_folders;
+    if (folders === undefined) {
+        folders = [];
+        prefs.library_folders = folders;
+    }
+    if (folders.indexOf(dir) >= 0)
+        return;
+
+    folders.push(dir);
+    note_prefs_dirty();
+    note_library_dirty();
+    catalog_scan_path(dir);
+}
+
+/* Remove a folder from the library folder list. Games found there are
+   dropped from the catalog (but not from the list of played games). */
+function catalog_remove_folder(dir)
+{
+    var folders = prefs.library_folders || [];
+    var pos = folders.indexOf(dir);
+    if (pos < 0)
+        return;
+
+    folders.splice(pos, 1);
+    note_prefs_dirty();
+
+    /* Another library folder might contain this one. */
+    if (folders.some(val => path_is_within(dir, val))) {
+        note_library_dirty();
+        return;
+    }
+
+    catalog_forget(dir);
+    note_library_dirty();
+}
+
+/* Remove all catalog entries and watchers at or below a given path. */
+function catalog_forget(dir)
+{
+    for (var path in library.catalog) {
+        if (path_is_within(path, dir))
+            delete library.catalog[path];
+    }
+    for (var path in catalog_watchers) {
+        if (path_is_within(path, dir)) {
+            catalog_watchers[path].close();
+            delete catalog_watchers[path];
+        }
+    }
+    catalog_changed = true;
+}
+
+/* Start watching a directory for changes. Each changed file gets
+   rescanned; the catalog's mtime cache makes this cheap. (fs.watch
+   is not recursive on all platforms, so we watch every directory.)
+*/
+function catalog_watch_dir(dir)
+{
+    if (catalog_watchers[dir])
+        return;
+
+    try {
+        var watcher = fs.watch(dir, function(evtype, filename) {
+                if (filename)
+                    catalog_scan_path(path_mod.join(dir, filename));
+                else
+                    catalog_scan_path(dir);
+            });
+        watcher.on('error', function() {
+                watcher.close();
+                if (catalog_watchers[dir] === watcher)
+                    delete catalog_watchers[dir];
+            });
+        catalog_watchers[dir] = watcher;
+    }
+    catch (ex) {
+        /* Can't watch this one; we'll still pick up changes at the next
+           launch. */
+    }
+}
+
+/* Queue up a file or directory to be scanned. The scan runs
+   asynchronously, one path at a time, so that a big folder doesn't
+   lock up the app.
+*/
+function catalog_scan_path(path)
+{
+    if (catalog_queued.has(path))
+        return;
+    catalog_queue.push(path);
+    catalog_queued.add(path);
+    if (!catalog_scanning) {
+        catalog_scanning = true;
+        setImmediate(catalog_scan_step);
+    }
+}
+
+/* Scan the next path in the queue. */
+function catalog_scan_step()
+{
+    if (!catalog_queue.length) {
+        catalog_scanning = false;
+        if (catalog_changed) {
+            catalog_changed = false;
+            note_library_dirty();
+        }
+        return;
+    }
+
+    /* We take the path off the queue now, so that a watcher event
+       during the scan can queue it up again. */
+    var path = catalog_queue.shift();
+    catalog_queued.delete(path);
+    var next = function() {
+        setImmediate(catalog_scan_step);
+    };
+
+    /* The folder may have been removed while this path was queued. */
+    var folders = prefs.library_folders || [];
+    if (!folders.some(dir => path_is_within(path, dir))) {
+        next();
+        return;
+    }
+
+    fs.lstat(path, function(err, stat) {
+        if (!err && stat.isSymbolicLink()) {
+            /* Follow links to files, but not to directories (which could
+               lead us in circles). */
+            try {
+                stat = fs.statSync(path);
+                if (stat.isDirectory())
+                    stat = null;
+            }
+            catch (ex) {
+                stat = null;
+            }
+            if (!stat) {
+                next();
+                return;
+            }
+        }
+
+        if (err) {
+            /* The path has been deleted. */
+            if (library.catalog[path] || catalog_watchers[path])
+                catalog_forget(path);
+            next();
+            return;
+        }
+
+        if (stat.isDirectory()) {
+            catalog_scan_dir(path, next);
+            return;
+        }
+
+        if (stat.isFile()) {
+            catalog_scan_file(path, stat, next);
+            return;
+        }
+        next();
+    });
+}
+
+/* Scan a directory: watch it, queue up its contents, and forget any
+   catalog entries for files which are no longer there.
+*/
+function catalog_scan_dir(dir, callback)
+{
+    catalog_watch_dir(dir);
+
+    fs.readdir(dir, function(err, ls) {
+        if (err) {
+            callback();
+            return;
+        }
+
+        var present = {};
+        for (var ix=0; ix<ls.length; ix++) {
+            if (ls[ix].startsWith('.'))
+                continue;
+            var path = path_mod.join(dir, ls[ix]);
+            present[path] = true;
+            catalog_scan_path(path);
+        }
+
+        for (var path in library.catalog) {
+            if (path_mod.dirname(path) == dir && !present[path]) {
+                delete library.catalog[path];
+                catalog_changed = true;
+            }
+        }
+
+        callback();
+    });
+}
+
+/* Return whether a filename has one of the extensions of the game
+   file types we play. The folder scan only looks at these, since the
+   header checks alone (Z-code especially) would accept all sorts of
+   files.
+*/
+function is_game_filename(path)
+{
+    var suffix = path_mod.extname(path).toLowerCase().slice(1);
+    if (!suffix)
+        return false;
+    var filters = [ { extensions: ['blorb', 'blb'] } ].concat(engines.file_filters());
+    return filters.some(filter => (filter.extensions.indexOf(suffix) >= 0));
+}
+
+/* Check a single file, and add it to the catalog if it's a game we
+   recognize. Files which haven't changed since the last scan are skipped.
+   Calls callback() when done.
 */
-function game_file_discriminate(path)
+function catalog_scan_file(path, stat, callback)
 {
-    var fd = fs.openSync(path, 'r');
-    var buf = new Buffer(16);
-    var len = fs.readSync(fd, buf, 0, 16, 0);
-    fs.closeSync(fd);
-
-    if (buf[0] == 0x47 && buf[1] == 0x6C && buf[2] == 0x75 && buf[3] == 0x6C) {
-        /* Glulx file */
-        return { engine:'quixe', basehtml:'play.html', docicon:'docicon-glulx.ico' };
+    var mtime = stat.mtime.getTime();
+    var found = library.catalog[path];
+    if (found && found.mtime == mtime && found.size == stat.size) {
+        callback();
+        return;
     }
 
-    if (buf[0] == 0x46 && buf[1] == 0x4F && buf[2] == 0x52 && buf[3] == 0x4D
-        && buf[8] == 0x49 && buf[9] == 0x46 && buf[10] == 0x52 && buf[11] == 0x53) {
-        /* Blorb file */
-        var gametype = parse_blorb(path);
-        if (gametype == 'GLUL')
-            return { engine:'quixe', basehtml:'play.html', docicon:'docicon-glulx.ico' };
-        else if (gametype == 'ZCOD')
-            return { engine:'ifvms', basehtml:'zplay.html', docicon:'docicon-zcode.ico' };
+    var kind = null;
+    if (is_game_filename(path)) {
+        try {
+            kind = game_file_discriminate(path);
+        }
+        catch (ex) { }
     }
 
-    if (path.match(/[.]hex$/i)) {
-        /* Hugo file */
-        return { engine:'hugoem', basehtml:'hugoplay.html', docicon:'docicon-hugo.ico' };
+    if (!kind) {
+        if (found) {
+            delete library.catalog[path];
+            catalog_changed = true;
+        }
+        callback();
+        return;
     }
 
-    if (buf[0] >= 3 && buf[0] <= 8) {
-        /* Z-machine file, probably */
-        return { engine:'ifvms', basehtml:'zplay.html', docicon:'docicon-zcode.ico' };
+    found = {
+        title: path_mod.basename(path),
+        author: null,
+        ifid: null,
+        cover: false,
+        engine: kind.engine,
+        format: kind.format,
+        mtime: mtime,
+        size: stat.size
+    };
+    if (kind.blorb) {
+        found.title = kind.blorb.metadata.title || found.title;
+        found.author = kind.blorb.metadata.author || null;
+        found.cover = (kind.blorb.cover != null);
     }
-
-    /* Ink is a text (JSON) format, which is harder to check. We skip
-       whitespace and non-ASCII characters and look for '{"ink'. */
-    var checkascii = [ 0x7B, 0x22, 0x69, 0x6E, 0x6B ];
-    var pos = 0;
-    for (var ix=0; ix<buf.length; ix++) {
-        var ch = buf[ix];
-        if (!(ch > 32 && ch < 127))
-            continue;
-        if (ch != checkascii[pos]) 
-            break;
-        pos++;
-        if (pos >= checkascii.length) {
-            return { engine:'inkjs', basehtml:'inkplay.html', docicon:'docicon-json.ico' };
+    ifid_mod.game_ifid_async(path, kind, function(err, ifid) {
+        /* The folder may have been removed while we were reading. */
+        var folders = prefs.library_folders || [];
+        if (folders.some(dir => path_is_within(path, dir))) {
+            if (!err)
+                found.ifid = ifid;
+            library.catalog[path] = found;
+            catalog_changed = true;
         }
-    }
-
-    return null;
+        callback();
+    });
 }
 
-/* Given the pathname of a Blorb file, look through it for a Z-code or
-   Glulx chunk. Return 'ZCOD' or 'GLUL', or null if neither is found.
+/* Call one of the functions in apphooks.js (in the game renderer process).
+   The argument is passed as a JSON string.
 */
-function parse_blorb(path)
+function invoke_app_hook(win, func, arg)
 {
-    var res = null;
-
-    var fd = fs.openSync(path, 'r');
-    var buf = new Buffer(16);
-
-    var len = fs.readSync(fd, buf, 0, 16, 0);
-    if (!(buf[0] == 0x46 && buf[1] == 0x4F && buf[2] == 0x52 && buf[3] == 0x4D
-            && buf[8] == 0x49 && buf[9] == 0x46 && buf[10] == 0x52 && buf[11] == 0x53)) {
-        /* not Blorb at all. */
-        fs.closeSync(fd);
-        return null;
-    }
-
-    /* Search through the chunks for a Zcode/Glulx chunk. */
-    len = fs.readSync(fd, buf, 0, 12, 0);
+    win.webContents.send(func, arg);
+}
 
-    var filelen = buf.readUInt32BE(4) + 8;
-    var pos = 12;
+/* Given a pathname, figure out what kind of game it is, by asking
+   each engine in the registry (see engines/registry.js). Returns
+   { engine, format, basehtml, docicon }.
 
-    while (pos < filelen) {
-        len = fs.readSync(fd, buf, 0, 8, pos);
-        pos += 8;
-        var chunktype = buf.toString('utf8', 0, 4);
-        var chunklen = buf.readUInt32BE(4);
-        if (chunktype == 'ZCOD' || chunktype == 'GLUL') {
-            res = chunktype;
-            break;
-        }
-        pos += chunklen;
-        if (pos & 1)
-            pos++;
-    }
+   For Blorb files, the result includes a blorb field containing the
+   parsed Blorb data (see blorb.js).
 
-    fs.closeSync(fd);
-    return res;
+   Returns null if the game type is not recognized. Throws an exception
+   if the file is unreadable.
+*/
+function game_file_discriminate(path)
+{
+    return engines.discriminate(path);
 }
 
 /* Bring up the select-a-game dialog. 
@@ -455,12 +1556,8 @@ function select_load_game()
         title: 'Select an IF game file',
         properties: ['openFile'],
         filters: [ 
-            { name: 'Blorbed Game File', extensions: ['blorb', 'blb'] },
-            { name: 'Glulx Game File', extensions: ['ulx', 'gblorb', 'glb'] },
-            { name: 'Z-Code Game File', extensions: ['z3', 'z4', 'z5', 'z8', 'zblorb', 'zlb'] },
-            { name: 'Hugo Game File', extensions: [ 'hex' ] },
-            { name: 'Ink JSON File', extensions: [ 'json' ] },
-        ]
+            { name: 'Blorbed Game File', extensions: ['blorb', 'blb'] }
+        ].concat(engines.file_filters())
     };
 
     if (process.platform != 'darwin') {
@@ -482,6 +1579,176 @@ function select_load_game()
     });
 }
 
+/* Parse the command-line arguments for a headless run:
+
+     lectrote --headless GAMEFILE [--script FILE] [--out FILE] [--timeout SECS]
+
+   Returns null if --headless isn't present. Otherwise returns
+   { game, script, out, timeout, error }, where error is a message about
+   bad arguments (or null).
+*/
+function parse_headless_args(argv)
+{
+    if (argv.indexOf('--headless') < 0)
+        return null;
+
+    var opts = { game:null, script:null, out:null, timeout:60, error:null };
+
+    for (var ix=1; ix<argv.length; ix++) {
+        var arg = argv[ix];
+        var val = undefined;
+        var pos = arg.indexOf('=');
+        if (arg.startsWith('--') && pos >= 0) {
+            val = arg.slice(pos+1);
+            arg = arg.slice(0, pos);
+        }
+
+        switch (arg) {
+        case '--headless':
+            continue;
+        case '--script':
+        case '--out':
+        case '--timeout':
+            if (val === undefined) {
+                ix++;
+                val = argv[ix];
+            }
+            if (val === undefined) {
+                opts.error = arg + ' needs a value';
+                return opts;
+            }
+            if (arg == '--timeout') {
+                opts.timeout = parseFloat(val);
+                if (isNaN(opts.timeout) || opts.timeout <= 0) {
+                    opts.error = '--timeout needs a number of seconds';
+                    return opts;
+                }
+            }
+            else {
+                opts[arg.slice(2)] = path_mod.resolve(val);
+            }
+            continue;
+        }
+
+        if (path_mod.basename(arg) == 'main.js' || path_mod.basename(arg) == '.')
+            continue;
+        if (arg.startsWith('--')) {
+            opts.error = 'unknown option ' + arg;
+            return opts;
+        }
+        if (opts.game) {
+            opts.error = 'only one game file may be given';
+            return opts;
+        }
+        opts.game = path_mod.resolve(arg);
+    }
+
+    if (!opts.game)
+        opts.error = 'no game file given';
+    return opts;
+}
+
+/* Exit codes for a headless run. */
+const HEADLESS_PASSED = 0;
+const HEADLESS_FAILED = 1; /* an @expect failed, or commands were left over */
+const HEADLESS_CRASHED = 2; /* the game or interpreter failed */
+const HEADLESS_TIMEOUT = 3;
+const HEADLESS_BADARGS = 4;
+
+/* End a headless run. */
+function headless_exit(code, message)
+{
+    if (message) {
+        if (code == HEADLESS_PASSED)
+            console.log(message);
+        else
+            console.error(message);
+    }
+    app.exit(code);
+}
+
+/* Run a game in a hidden window, as requested by the --headless
+   argument. The game's autosave, the library, and the preferences are
+   not touched. The script (if any) is replayed, the transcript written
+   to the --out file (if any), and the app exits with a status code
+   indicating the result.
+*/
+function run_headless()
+{
+    if (headless.error) {
+        headless_exit(HEADLESS_BADARGS, 'lectrote: ' + headless.error + '\nUsage: lectrote --headless GAMEFILE [--script FILE] [--out FILE] [--timeout SECS]');
+        return;
+    }
+
+    var kind = null;
+    try {
+        kind = game_file_discriminate(headless.game);
+    }
+    catch (ex) {
+        headless_exit(HEADLESS_CRASHED, 'The game file could not be read: ' + ex);
+        return;
+    }
+    if (!kind) {
+        headless_exit(HEADLESS_CRASHED, 'Could not recognize game file: ' + headless.game);
+        return;
+    }
+
+    var scripttext = '';
+    if (headless.script) {
+        try {
+            scripttext = fs.readFileSync(headless.script, { encoding:'utf8' });
+        }
+        catch (ex) {
+            headless_exit(HEADLESS_BADARGS, 'The command script could not be read: ' + ex);
+            return;
+        }
+    }
+
+    var game = {
+        path: headless.game,
+        basehtml: kind.basehtml,
+        engine: kind.engine,
+        format: kind.format,
+        title: (kind.blorb && kind.blorb.metadata.title) || null,
+        signature: null,
+        headless: true
+    };
+
+    if (headless.out) {
+        try {
+            fs.writeFileSync(headless.out, '', { encoding:'utf8' });
+        }
+        catch (ex) {
+            headless_exit(HEADLESS_BADARGS, 'The transcript file could not be created: ' + ex);
+            return;
+        }
+        game.transcript = { path:headless.out, format:'text' };
+    }
+
+    var win = new electron.BrowserWindow({ show:false, width:800, height:600 });
+    game.win = win;
+    game.id = win.id;
+    gamewins[game.id] = game;
+
+    setTimeout(function() {
+        headless_exit(HEADLESS_TIMEOUT, 'Timed out after ' + headless.timeout + ' seconds.');
+    }, headless.timeout * 1000);
+
+    win.webContents.on('crashed', function() {
+        headless_exit(HEADLESS_CRASHED, 'The game window crashed.');
+    });
+
+    win.webContents.on('dom-ready', function() {
+        invoke_app_hook(win, 'set_autosave_enabled', false);
+        if (game.transcript)
+            invoke_app_hook(win, 'set_transcript_recording', true);
+        invoke_app_hook(win, 'load_named_game', { path:game.path, engine:game.engine, format:game.format, title:game.title });
+        invoke_app_hook(win, 'replay_commands', { name:path_mod.basename(headless.script || 'script'), text:scripttext });
+    });
+
+    win.loadURL('file://' + __dirname + '/' + game.basehtml);
+}
+
 /* Open a game window for a given game file.
 */
 function launch_game(path)
@@ -516,16 +1783,36 @@ function launch_game(path)
         path: path,
         basehtml: kind.basehtml,
         engine: kind.engine,
+        format: kind.format,
         title: null,
+        author: null,
+        ifid: null,
+        cover: false,
         signature: null
     };
 
+    if (kind.blorb) {
+        game.title = kind.blorb.metadata.title || null;
+        game.author = kind.blorb.metadata.author || null;
+        game.cover = (kind.blorb.cover != null);
+    }
+
+    try {
+        game.ifid = ifid_mod.game_ifid(path, kind);
+    }
+    catch (ex) {
+        /* We'll fall back to the engine's signature. */
+    }
+
+    if (game.engine == 'inkjs')
+        game.inkext = ink_extension_path(path);
+
     var winopts = {
         title: require('electron').app.getName(),
         width: prefs.gamewin_width, height: prefs.gamewin_height,
         minWidth: 400, minHeight: 400,
         webPreferences: {
-            zoomFactor: zoom_factor_for_level(prefs.gamewin_zoomlevel)
+            zoomFactor: zoom_factor_for_level(game_pref(game, 'gamewin_zoomlevel'))
         }
     };
 
@@ -563,8 +1850,32 @@ function launch_game(path)
 
     /* Game window callbacks */
 
+    win.on('focus', function() {
+        update_game_menu_items(game);
+        if (focused_game !== game) {
+            focused_game = game;
+            /* If the prefs window is editing one game's prefs, it
+               follows the focus. */
+            if (prefs_scope_game)
+                prefs_scope_game = game;
+            send_prefs_state();
+        }
+    });
+
     win.on('closed', function() {
+        library_note_playtime(game);
         delete gamewins[game.id];
+        if (focused_game === game || prefs_scope_game === game) {
+            if (focused_game === game)
+                focused_game = null;
+            if (prefs_scope_game === game)
+                prefs_scope_game = null;
+            send_prefs_state();
+        }
+        if (saveswin_game === game) {
+            saveswin_game = null;
+            note_saves_changed();
+        }
         game = null;
         win = null;
         /* In the bound version, closing the game window means closing
@@ -577,14 +1888,30 @@ function launch_game(path)
         var game = game_for_webcontents(ev.sender);
         if (!game)
             return;
-        invoke_app_hook(win, 'set_margin_level', prefs.gamewin_marginlevel);
-        invoke_app_hook(win, 'set_color_theme', prefs.gamewin_colortheme);
-        invoke_app_hook(win, 'set_font', { font:prefs.gamewin_font, customfont:prefs.gamewin_customfont });
+        apply_game_prefs(game);
+        invoke_app_hook(win, 'set_ink_presentation', prefs.gamewin_inkpresentation);
+        if (game.transcript)
+            invoke_app_hook(win, 'set_transcript_recording', true);
+        else if (prefs.transcript_always)
+            set_transcript_recording(game, true);
         if (game.suppress_autorestore) {
             invoke_app_hook(win, 'set_clear_autosave', true);
             game.suppress_autorestore = false;
         }
-        invoke_app_hook(win, 'load_named_game', { path: game.path, engine: game.engine } );
+        var loadarg = { path: game.path, engine: game.engine, format: game.format, title: game.title, ifid: game.ifid };
+        if (game.engine == 'inkjs') {
+            loadarg.inkext = game.inkext;
+            loadarg.inkstore = inkstorepath;
+            loadarg.inkhistory = inkhistorypath;
+        }
+        else {
+            /* The engine's Glk library displays Blorb images, but it
+               needs them to be supplied. */
+            var images = blorb.image_info_map(game.path);
+            if (Object.keys(images).length)
+                loadarg.image_info_map = images;
+        }
+        invoke_app_hook(win, 'load_named_game', loadarg);
     });
 
     win.webContents.on('found-in-page', function(ev, res) {
@@ -638,7 +1965,7 @@ function reset_game(game)
 
     var winopts = {
         type: 'question',
-        message: 'Are you sure you want to reset the game to the beginning? This will discard all your progress since your last SAVE command.',
+        message: 'Are you sure you want to reset the game to the beginning? This will discard all your progress since your last SAVE command. (A backup of your current position will be kept in the save manager.)',
         buttons: ['Reset', 'Cancel'],
         cancelId: 0
     };
@@ -651,13 +1978,97 @@ function reset_game(game)
        game window). */
     var res = electron.dialog.showMessageBox(game.win, winopts);
     if (res == winopts.cancelId) {
-        var win = game.win;
+        if (game_key(game)) {
+            /* Ask the game for its current state, so that we can keep
+               it as a rolling autosave. The reload happens when the
+               snapshot comes back. */
+            invoke_app_hook(game.win, 'request_snapshot', { reason:'reset' });
+        }
+        else {
+            reload_game(game, true);
+        }
+    }
+}
+
+/* Reload the game's HTML document. If suppress is true, the game starts
+   from the beginning rather than autorestoring.
+*/
+function reload_game(game, suppress)
+{
+    if (!game.win)
+        return;
+
+    if (suppress) {
         /* Set a flag to inhibit autorestore (but not autosave). This
            will be cleared when the page finishes loading. */
         game.suppress_autorestore = true;
-        /* Load the game UI and go. */
-        win.loadURL('file://' + __dirname + '/' + game.basehtml);
     }
+    /* Load the game UI and go. */
+    game.win.loadURL('file://' + __dirname + '/' + game.basehtml);
+}
+
+/* Ask the player for a command script, and replay it in the game
+   window. (See replay.js for the script format.)
+*/
+function select_replay_script(game)
+{
+    var opts = {
+        title: 'Select a command script to replay',
+        properties: ['openFile'],
+        filters: [
+            { name: 'Command Script', extensions: ['txt', 'rec'] },
+            { name: 'All Files', extensions: ['*'] }
+        ]
+    };
+
+    electron.dialog.showOpenDialog(game.win, opts, function(ls) {
+        if (!ls || !ls.length || !game.win)
+            return;
+        var text;
+        try {
+            text = fs.readFileSync(ls[0], { encoding:'utf8' });
+        }
+        catch (ex) {
+            electron.dialog.showErrorBox('The command script could not be read.', ''+ex);
+            return;
+        }
+        invoke_app_hook(game.win, 'replay_commands', { name:path_mod.basename(ls[0]), text:text });
+    });
+}
+
+/* Restore a save from the save manager. We first take a rolling
+   autosave of the current state, so that the restore can be undone.
+*/
+function restore_save(game, id)
+{
+    if (!game.win)
+        return;
+
+    invoke_app_hook(game.win, 'request_snapshot', { reason:'restore', restoreid:id });
+}
+
+/* Return the title, author, IFID, and cover image (as a data: URL) of
+   the bound game, for display in the about window. This only works if
+   the game is a Blorb file with metadata. Returns null if there's
+   nothing to show.
+*/
+function bound_game_info()
+{
+    var info = null;
+    try {
+        info = blorb.parse_blorb(bound_game_path);
+    }
+    catch (ex) { }
+
+    if (!info || !info.metadata.title)
+        return null;
+
+    return {
+        title: info.metadata.title,
+        author: info.metadata.author,
+        ifid: info.ifid,
+        cover: blorb.cover_image_url(bound_game_path)
+    };
 }
 
 /* Open the "About Lectrote" window. (It must not already exist.)
@@ -691,8 +2102,14 @@ function open_about_window()
         });
 
     aboutwin.webContents.on('dom-ready', function() {
+            /* The same list as the Open Recent menu. */
             var ls = construct_recent_game_menu();
             aboutwin.webContents.send('recent-count', ls.length);
+            if (isbound) {
+                var info = bound_game_info();
+                if (info)
+                    aboutwin.webContents.send('game-info', info);
+            }
         });
 
     aboutwin.loadURL('file://' + __dirname + '/about.html');
@@ -703,7 +2120,7 @@ function open_about_window()
 function open_prefs_window()
 {
     var winopts = { 
-        width: 600, height: 500,
+        width: 600, height: 700,
         useContentSize: true,
         resizable: false
     };
@@ -721,16 +2138,130 @@ function open_prefs_window()
     
     prefswin.on('closed', function() {
             prefswin = null;
+            prefs_scope_game = null;
         });
     prefswin.on('move', window_position_prefs_handler('prefswin', prefswin));
 
     prefswin.webContents.on('dom-ready', function() {
-            prefswin.webContents.send('current-prefs', prefs);
+            /* The player may have added or removed font files by hand. */
+            refresh_user_fonts();
+            send_prefs_state();
         });
 
     prefswin.loadURL('file://' + __dirname + '/prefs.html');
 }
 
+/* Open the theme editor window. (It must not already exist.)
+*/
+function open_themes_window()
+{
+    var winopts = {
+        minWidth: 500, minHeight: 400,
+        useContentSize: true
+    };
+    window_position_prefs(winopts, 'themeswin');
+    window_size_prefs(winopts, 'themeswin', 640, 600);
+    if (window_icon)
+        winopts.icon = window_icon;
+
+    themeswin = new electron.BrowserWindow(winopts);
+
+    if (process.platform != 'darwin') {
+        var template = construct_menu_template('themes');
+        var menu = electron.Menu.buildFromTemplate(template);
+        themeswin.setMenu(menu);
+    }
+
+    themeswin.on('closed', function() {
+            themeswin = null;
+        });
+    themeswin.on('move', window_position_prefs_handler('themeswin', themeswin));
+    themeswin.on('resize', window_size_prefs_handler('themeswin', themeswin));
+
+    themeswin.webContents.on('dom-ready', function() {
+            send_themes_state();
+        });
+
+    themeswin.loadURL('file://' + __dirname + '/themeeditor.html');
+}
+
+/* Open the save manager window for a game. If the window already
+   exists, it switches to showing the given game.
+*/
+function open_saves_window(game)
+{
+    saveswin_game = game;
+    if (saveswin) {
+        note_saves_changed();
+        saveswin.show();
+        return;
+    }
+
+    var winopts = {
+        minWidth: 400, minHeight: 300,
+        useContentSize: true
+    };
+    window_position_prefs(winopts, 'saveswin');
+    window_size_prefs(winopts, 'saveswin', 600, 450);
+    if (window_icon)
+        winopts.icon = window_icon;
+
+    saveswin = new electron.BrowserWindow(winopts);
+
+    if (process.platform != 'darwin') {
+        var template = construct_menu_template('saves');
+        var menu = electron.Menu.buildFromTemplate(template);
+        saveswin.setMenu(menu);
+    }
+
+    saveswin.on('closed', function() {
+            saveswin = null;
+            saveswin_game = null;
+        });
+    saveswin.on('move', window_position_prefs_handler('saveswin', saveswin));
+    saveswin.on('resize', window_size_prefs_handler('saveswin', saveswin));
+
+    saveswin.webContents.on('dom-ready', function() {
+            note_saves_changed();
+        });
+
+    saveswin.loadURL('file://' + __dirname + '/saves.html');
+}
+
+/* Open the game library window. (It must not already exist.)
+*/
+function open_library_window()
+{
+    var winopts = {
+        minWidth: 500, minHeight: 300,
+        useContentSize: true
+    };
+    window_position_prefs(winopts, 'librarywin');
+    window_size_prefs(winopts, 'librarywin', 700, 500);
+    if (window_icon)
+        winopts.icon = window_icon;
+
+    librarywin = new electron.BrowserWindow(winopts);
+
+    if (process.platform != 'darwin') {
+        var template = construct_menu_template('library');
+        var menu = electron.Menu.buildFromTemplate(template);
+        librarywin.setMenu(menu);
+    }
+
+    librarywin.on('closed', function() {
+            librarywin = null;
+        });
+    librarywin.on('move', window_position_prefs_handler('librarywin', librarywin));
+    librarywin.on('resize', window_size_prefs_handler('librarywin', librarywin));
+
+    librarywin.webContents.on('dom-ready', function() {
+            librarywin.webContents.send('current-library', library_contents());
+        });
+
+    librarywin.loadURL('file://' + __dirname + '/library.html');
+}
+
 /* Open the IF reference card window. (It must not already exist.)
 */
 function open_card_window()
@@ -890,17 +2421,77 @@ function construct_menu_template(special)
             type: 'submenu',
             submenu: construct_recent_game_menu()
         },
-        { type: 'separator' },
         {
-            label: 'Reset Game...',
-            id: 'reset_game',
-            accelerator: 'CmdOrCtrl+R',
+            label: 'Game Library',
+            id: 'game_library',
+            accelerator: 'CmdOrCtrl+Shift+L',
+            enabled: (special != 'library'),
+            click: function() {
+                if (!librarywin)
+                    open_library_window();
+                else
+                    librarywin.show();
+            }
+        },
+        { type: 'separator' },
+        {
+            label: 'Reset Game...',
+            id: 'reset_game',
+            accelerator: 'CmdOrCtrl+R',
+            enabled: (!special),
+            click: function(item, win) {
+                var game = game_for_window(win);
+                if (!game)
+                    return;
+                reset_game(game);
+            }
+        },
+        {
+            label: 'Manage Saves...',
+            id: 'manage_saves',
+            enabled: (!special),
+            click: function(item, win) {
+                var game = game_for_window(win);
+                if (!game)
+                    return;
+                open_saves_window(game);
+            }
+        },
+        {
+            label: 'Replay Commands...',
+            id: 'replay_commands',
             enabled: (!special),
             click: function(item, win) {
                 var game = game_for_window(win);
                 if (!game)
                     return;
-                reset_game(game);
+                select_replay_script(game);
+            }
+        },
+        {
+            label: 'Record Transcript',
+            id: 'record_transcript',
+            type: 'checkbox',
+            checked: false,
+            enabled: (!special),
+            click: function(item, win) {
+                var game = game_for_window(win);
+                if (!game) {
+                    item.checked = false;
+                    return;
+                }
+                set_transcript_recording(game, item.checked);
+            }
+        },
+        {
+            label: 'Open Transcripts Folder',
+            id: 'open_transcripts',
+            click: function() {
+                try {
+                    ensure_dir(transcriptspath);
+                }
+                catch (ex) { }
+                electron.shell.openItem(transcriptspath);
             }
         },
         {
@@ -924,6 +2515,20 @@ function construct_menu_template(special)
         label: 'Edit',
         id: 'menu_edit',
         submenu: [
+        {
+            label: 'Rewind Choice',
+            id: 'rewind_choice',
+            /* Not Cmd-Z, which text fields need for undo. */
+            accelerator: 'CmdOrCtrl+[',
+            enabled: false, /* see update_game_menu_items() */
+            click: function(item, win) {
+                var game = game_for_window(win);
+                if (!game || game.engine != 'inkjs')
+                    return;
+                invoke_app_hook(win, 'rewind_choice');
+            }
+        },
+        { type: 'separator' },
         {
             label: 'Cut',
             accelerator: 'CmdOrCtrl+X',
@@ -1006,40 +2611,21 @@ function construct_menu_template(special)
             label: 'Zoom In',
             accelerator: 'CmdOrCtrl+=',
             click: function(item, win) {
-                prefs.gamewin_zoomlevel += 1;
-                if (prefs.gamewin_zoomlevel > 6)
-                    prefs.gamewin_zoomlevel = 6;
-                note_prefs_dirty();
-                var val = zoom_factor_for_level(prefs.gamewin_zoomlevel);
-                set_zoom_factor_all(val);
-                if (prefswin)
-                    prefswin.webContents.send('set-zoom-level', prefs.gamewin_zoomlevel);
+                menu_zoom_level(win, 1);
             }
         },
         {
             label: 'Zoom Normal',
             accelerator: 'CmdOrCtrl+0',
             click: function(item, win) {
-                prefs.gamewin_zoomlevel = 0;
-                note_prefs_dirty();
-                var val = zoom_factor_for_level(prefs.gamewin_zoomlevel);
-                set_zoom_factor_all(val);
-                if (prefswin)
-                    prefswin.webContents.send('set-zoom-level', prefs.gamewin_zoomlevel);
+                menu_zoom_level(win, 0);
             }
         },
         {
             label: 'Zoom Out',
             accelerator: 'CmdOrCtrl+-',
             click: function(item, win) {
-                prefs.gamewin_zoomlevel -= 1;
-                if (prefs.gamewin_zoomlevel < -6)
-                    prefs.gamewin_zoomlevel = -6;
-                note_prefs_dirty();
-                var val = zoom_factor_for_level(prefs.gamewin_zoomlevel);
-                set_zoom_factor_all(val);
-                if (prefswin)
-                    prefswin.webContents.send('set-zoom-level', prefs.gamewin_zoomlevel);
+                menu_zoom_level(win, -1);
             }
         }
         ]
@@ -1072,6 +2658,23 @@ function construct_menu_template(special)
                 if (focusedWindow)
                     focusedWindow.toggleDevTools();
             }
+        },
+        {
+            label: 'Ink Debug Panel',
+            id: 'ink_debug_panel',
+            accelerator: (function() {
+                if (process.platform == 'darwin')
+                    return 'Alt+Command+D';
+                else
+                    return 'Ctrl+Shift+D';
+            })(),
+            enabled: (!special),
+            click: function(item, win) {
+                var game = game_for_window(win);
+                if (!game)
+                    return;
+                invoke_app_hook(win, 'toggle_ink_debug');
+            }
         }
         ]
     },
@@ -1105,6 +2708,9 @@ function construct_menu_template(special)
             if (pos >= 0)
                 submenu.splice(pos, 1);
             var pos = index_in_template(submenu, 'open_recent');
+            if (pos >= 0)
+                submenu.splice(pos, 1);
+            var pos = index_in_template(submenu, 'game_library');
             if (pos >= 0)
                 submenu.splice(pos, 1);
             if (submenu.length && submenu[0].type == 'separator')
@@ -1201,9 +2807,13 @@ function construct_menu_template(special)
    Begin app setup.
  */
 
-/* Ensure that only one Lectrote process exists at a time. */
+/* A headless run is independent of any other Lectrote process. */
+
+headless = parse_headless_args(process.argv);
 
-var secondary = app.makeSingleInstance(function(argv, cwd) {
+/* Otherwise, ensure that only one Lectrote process exists at a time. */
+
+var secondary = (!headless) && app.makeSingleInstance(function(argv, cwd) {
     /* This callback arrives when a second process tries to launch.
        Its arguments are sent here. */
     var count = 0;
@@ -1258,7 +2868,10 @@ app.on('before-quit', function() {
    closed or the user hit cmd-Q. 
 */
 app.on('will-quit', function() {
+    if (headless)
+        return;
     write_prefs_now();
+    write_library_now();
 });
 
 electron.ipcMain.on('select_load_game', function() {
@@ -1277,49 +2890,499 @@ electron.ipcMain.on('select_load_recent', function() {
     menu.popup(aboutwin);
 });
 
+electron.ipcMain.on('open_library', function() {
+    if (isbound)
+        return;
+    if (!librarywin)
+        open_library_window();
+    else
+        librarywin.show();
+});
+
+electron.ipcMain.on('library_launch', function(ev, path) {
+    if (isbound)
+        return;
+    launch_game(path);
+});
+
+electron.ipcMain.on('library_set_tags', function(ev, key, tags) {
+    var entry = library.games[key];
+    if (entry) {
+        entry.tags = tags;
+        note_library_dirty();
+    }
+});
+
+electron.ipcMain.on('library_remove', function(ev, key) {
+    if (library.games[key]) {
+        delete library.games[key];
+        note_library_dirty();
+    }
+});
+
+electron.ipcMain.on('library_add_folder', function(ev) {
+    if (isbound)
+        return;
+
+    var opts = {
+        title: 'Select a folder of IF game files',
+        properties: ['openDirectory']
+    };
+
+    electron.dialog.showOpenDialog(librarywin, opts, function(ls) {
+        if (!ls || !ls.length)
+            return;
+        catalog_add_folder(ls[0]);
+    });
+});
+
+electron.ipcMain.on('library_remove_folder', function(ev, dir) {
+    catalog_remove_folder(dir);
+});
+
 electron.ipcMain.on('game_metadata', function(ev, arg) {
     var game = game_for_webcontents(ev.sender);
     if (game) {
         if (arg.title)
             game.title = arg.title;
+        var hadkey = !!game_key(game);
         if (arg.signature)
             game.signature = arg.signature;
+        /* A game without an IFID is known by its signature, so this is
+           the first chance to apply its own prefs. */
+        if (!hadkey && game_overrides(game))
+            apply_game_prefs(game);
+        if (!hadkey && focused_game === game)
+            send_prefs_state();
+        library_note_game(game);
+    }
+});
+
+electron.ipcMain.on('transcript_output', function(ev, lines) {
+    var game = game_for_webcontents(ev.sender);
+    if (!game)
+        return;
+    write_transcript(game, lines);
+});
+
+electron.ipcMain.on('replay_report', function(ev, arg) {
+    var game = game_for_webcontents(ev.sender);
+    if (!game)
+        return;
+
+    if (game.headless) {
+        if (arg.error) {
+            /* A script which doesn't parse is the caller's mistake;
+               anything else means the game didn't run. */
+            if (arg.badscript)
+                headless_exit(HEADLESS_BADARGS, 'The command script could not be run: ' + arg.error);
+            else
+                headless_exit(HEADLESS_CRASHED, 'The game could not be run: ' + arg.error);
+            return;
+        }
+        var report = replay_mod.format_report(arg);
+        var failed = (arg.failures.length || arg.unfinished);
+        headless_exit((failed ? HEADLESS_FAILED : HEADLESS_PASSED), report.summary + '\n' + report.detail);
+        return;
+    }
+
+    if (arg.error) {
+        electron.dialog.showErrorBox('The command script ' + arg.name + ' could not be run.', arg.error);
+        return;
+    }
+
+    var report = replay_mod.format_report(arg);
+    var winopts = {
+        type: (arg.failures.length || arg.unfinished) ? 'warning' : 'info',
+        message: report.summary,
+        detail: report.detail,
+        buttons: ['OK']
+    };
+    if (window_icon)
+        winopts.icon = window_icon;
+    electron.dialog.showMessageBox(game.win, winopts, function() { });
+});
+
+electron.ipcMain.on('game_error', function(ev, msg) {
+    var game = game_for_webcontents(ev.sender);
+    if (!game || !game.headless)
+        return;
+    headless_exit(HEADLESS_CRASHED, 'Game error: ' + msg);
+});
+
+electron.ipcMain.on('game_snapshot', function(ev, arg) {
+    var game = game_for_webcontents(ev.sender);
+    if (!game)
+        return;
+
+    var kind = (arg.reason == 'manual') ? 'manual' : 'auto';
+    var name = arg.name;
+    if (!name) {
+        if (arg.reason == 'reset')
+            name = 'Before reset';
+        else if (arg.reason == 'restore')
+            name = 'Before restore';
+        else
+            name = 'Saved position';
+    }
+
+    if (arg.snapshot) {
+        try {
+            saves_store(game, kind, name, arg);
+        }
+        catch (ex) {
+            electron.dialog.showErrorBox('The save could not be written.', ''+ex);
+        }
+        if (saveswin_game === game)
+            note_saves_changed();
+    }
+
+    if (arg.reason == 'reset') {
+        reload_game(game, true);
+    }
+    else if (arg.reason == 'restore') {
+        var snapshot;
+        try {
+            snapshot = saves_load_snapshot(game, arg.restoreid);
+        }
+        catch (ex) {
+            electron.dialog.showErrorBox('The save could not be read.', ''+ex);
+            return;
+        }
+        invoke_app_hook(game.win, 'restore_snapshot', { snapshot:snapshot });
+    }
+});
+
+electron.ipcMain.on('snapshot_restored', function(ev) {
+    var game = game_for_webcontents(ev.sender);
+    if (!game)
+        return;
+    reload_game(game, false);
+});
+
+electron.ipcMain.on('save_create', function(ev, name) {
+    var game = saveswin_game;
+    if (!game || !game.win)
+        return;
+    invoke_app_hook(game.win, 'request_snapshot', { reason:'manual', name:name });
+});
+
+electron.ipcMain.on('save_rename', function(ev, id, name) {
+    var game = saveswin_game;
+    if (!game)
+        return;
+    saves_rename(game, id, name);
+    note_saves_changed();
+});
+
+electron.ipcMain.on('save_duplicate', function(ev, id) {
+    var game = saveswin_game;
+    if (!game)
+        return;
+    try {
+        saves_duplicate(game, id);
     }
+    catch (ex) {
+        electron.dialog.showErrorBox('The save could not be copied.', ''+ex);
+    }
+    note_saves_changed();
+});
+
+electron.ipcMain.on('save_delete', function(ev, id) {
+    var game = saveswin_game;
+    if (!game)
+        return;
+
+    var winopts = {
+        type: 'question',
+        message: 'Are you sure you want to delete this save?',
+        buttons: ['Delete', 'Cancel'],
+        cancelId: 1
+    };
+    if (window_icon)
+        winopts.icon = window_icon;
+
+    var res = electron.dialog.showMessageBox(saveswin, winopts);
+    if (res == winopts.cancelId)
+        return;
+
+    saves_delete(game, id);
+    note_saves_changed();
+});
+
+electron.ipcMain.on('save_restore', function(ev, id) {
+    var game = saveswin_game;
+    if (!game)
+        return;
+    restore_save(game, id);
+    game.win.show();
+});
+
+electron.ipcMain.on('pref_scope', function(ev, arg) {
+    prefs_scope_game = ((arg == 'game') ? focused_game : null);
+    send_prefs_state();
 });
 
-electron.ipcMain.on('pref_font', function(ev, fontkey, customfont) {
-    prefs.gamewin_font = fontkey;
-    prefs.gamewin_customfont = customfont;
+electron.ipcMain.on('pref_clear_overrides', function(ev) {
+    var game = prefs_scope_game;
+    var key = (game ? game_key(game) : null);
+    if (!key)
+        return;
+    delete prefs.game_overrides[key];
     note_prefs_dirty();
+    apply_game_prefs(game);
+    send_prefs_state();
+});
+
+/* The prefs window sends only the font fields which changed. */
+electron.ipcMain.on('pref_font', function(ev, arg) {
+    if (arg.font !== undefined)
+        set_appearance_pref('gamewin_font', arg.font);
+    if (arg.customfont !== undefined)
+        set_appearance_pref('gamewin_customfont', arg.customfont);
+    for (var id in gamewins) {
+        var game = gamewins[id];
+        invoke_app_hook(game.win, 'set_font', { font:game_pref(game, 'gamewin_font'), customfont:game_pref(game, 'gamewin_customfont') });
+    }
+});
+
+/* Likewise, only the typography fields which changed. */
+electron.ipcMain.on('pref_typography', function(ev, arg) {
+    for (var field in arg) {
+        if (typography_prefs[field])
+            set_appearance_pref(typography_prefs[field], arg[field]);
+    }
     for (var id in gamewins) {
         var game = gamewins[id];
-        invoke_app_hook(game.win, 'set_font', { font:prefs.gamewin_font, customfont:prefs.gamewin_customfont });
+        invoke_app_hook(game.win, 'set_typography', game_typography(game));
     }
 });
 
+electron.ipcMain.on('pref_import_font', function(ev) {
+    var opts = {
+        title: 'Import font files',
+        properties: ['openFile', 'multiSelections'],
+        filters: [
+            { name: 'Font Files', extensions: userfonts.font_extensions }
+        ]
+    };
+
+    electron.dialog.showOpenDialog(prefswin, opts, function(ls) {
+        if (!ls || !ls.length)
+            return;
+
+        var failed = [];
+        var renamed = [];
+        for (var ix=0; ix<ls.length; ix++) {
+            var path = ls[ix];
+            if (!userfonts.read_font_info(path)) {
+                failed.push(path_mod.basename(path) + ': not a usable TrueType, OpenType, or WOFF font');
+                continue;
+            }
+            try {
+                var filename = import_font_file(path);
+                if (filename && filename != path_mod.basename(path))
+                    renamed.push(path_mod.basename(path) + ' was imported as ' + filename);
+            }
+            catch (ex) {
+                failed.push(path_mod.basename(path) + ': ' + ex);
+            }
+        }
+
+        refresh_user_fonts();
+        send_prefs_state();
+
+        if (renamed.length) {
+            var winopts = {
+                type: 'info',
+                message: 'A font file with the same name was already imported, so the new file was renamed.',
+                detail: renamed.join('\n'),
+                buttons: ['OK']
+            };
+            if (window_icon)
+                winopts.icon = window_icon;
+            electron.dialog.showMessageBox(prefswin, winopts, function() { });
+        }
+        if (failed.length)
+            electron.dialog.showErrorBox('Some fonts could not be imported.', failed.join('\n'));
+    });
+});
+
 electron.ipcMain.on('pref_color_theme', function(ev, arg) {
-    prefs.gamewin_colortheme = arg;
+    set_appearance_pref('gamewin_colortheme', arg);
+    set_color_theme_all();
+});
+
+electron.ipcMain.on('pref_auto_theme', function(ev, arg) {
+    prefs.autotheme_light = arg.light;
+    prefs.autotheme_dark = arg.dark;
+    prefs.autotheme_mode = arg.mode;
+    prefs.autotheme_darkstart = arg.darkstart;
+    prefs.autotheme_darkend = arg.darkend;
+    note_prefs_dirty();
+    auto_theme_check(true);
+});
+
+electron.ipcMain.on('pref_edit_themes', function(ev, key) {
+    if (themes.is_custom_key(key))
+        themeswin_select = key;
+    if (!themeswin) {
+        open_themes_window();
+    }
+    else {
+        send_themes_state();
+        themeswin.show();
+    }
+});
+
+electron.ipcMain.on('theme_create', function(ev, base) {
+    if (themes.is_custom_key(base))
+        base = prefs.custom_themes[base];
+    var key = new_custom_theme_key();
+    prefs.custom_themes[key] = themes.new_theme('Custom Theme ' + key.slice(7), base);
+    note_prefs_dirty();
+    themeswin_select = key;
+    send_themes_state();
+    send_prefs_state();
+});
+
+electron.ipcMain.on('theme_update', function(ev, key, theme) {
+    if (!prefs.custom_themes[key])
+        return;
+    try {
+        prefs.custom_themes[key] = themes.check_theme(theme);
+    }
+    catch (ex) {
+        return;
+    }
+    note_prefs_dirty();
+    set_color_theme_all();
+    send_prefs_state();
+});
+
+electron.ipcMain.on('theme_delete', function(ev, key) {
+    var theme = prefs.custom_themes[key];
+    if (!theme)
+        return;
+
+    var winopts = {
+        type: 'question',
+        message: 'Are you sure you want to delete the theme "' + theme.name + '"?',
+        buttons: ['Delete', 'Cancel'],
+        cancelId: 1
+    };
+    if (window_icon)
+        winopts.icon = window_icon;
+
+    var res = electron.dialog.showMessageBox(themeswin, winopts);
+    if (res == winopts.cancelId)
+        return;
+
+    delete prefs.custom_themes[key];
+    /* Anything using the theme goes back to the Light theme. */
+    if (prefs.gamewin_colortheme == key)
+        prefs.gamewin_colortheme = 'light';
+    if (prefs.autotheme_light == key)
+        prefs.autotheme_light = 'light';
+    if (prefs.autotheme_dark == key)
+        prefs.autotheme_dark = 'dark';
+    for (var gamekey in prefs.game_overrides) {
+        var overrides = prefs.game_overrides[gamekey];
+        if (overrides.gamewin_colortheme == key)
+            overrides.gamewin_colortheme = 'light';
+    }
     note_prefs_dirty();
+    set_color_theme_all();
+    send_themes_state();
+    send_prefs_state();
+});
+
+electron.ipcMain.on('theme_import', function(ev) {
+    var opts = {
+        title: 'Import a color theme',
+        properties: ['openFile'],
+        filters: [
+            { name: 'Color Theme', extensions: ['json'] },
+            { name: 'All Files', extensions: ['*'] }
+        ]
+    };
+
+    electron.dialog.showOpenDialog(themeswin, opts, function(ls) {
+        if (!ls || !ls.length)
+            return;
+        var theme;
+        try {
+            var text = fs.readFileSync(ls[0], { encoding:'utf8' });
+            theme = themes.check_theme(JSON.parse(text));
+        }
+        catch (ex) {
+            electron.dialog.showErrorBox('The color theme could not be imported.', ''+ex);
+            return;
+        }
+        var key = new_custom_theme_key();
+        prefs.custom_themes[key] = theme;
+        note_prefs_dirty();
+        themeswin_select = key;
+        send_themes_state();
+        send_prefs_state();
+    });
+});
+
+electron.ipcMain.on('theme_export', function(ev, key) {
+    var theme = prefs.custom_themes[key];
+    if (!theme)
+        return;
+
+    var filename = theme.name.replace(/[^A-Za-z0-9 _-]/g, '').trim() || 'theme';
+
+    var opts = {
+        title: 'Export a color theme',
+        defaultPath: filename + '.json',
+        filters: [ { name: 'Color Theme', extensions: ['json'] } ]
+    };
+
+    electron.dialog.showSaveDialog(themeswin, opts, function(destpath) {
+        if (!destpath)
+            return;
+        try {
+            fs.writeFileSync(destpath, JSON.stringify(theme, null, 2)+'\n', { encoding:'utf8' });
+        }
+        catch (ex) {
+            electron.dialog.showErrorBox('Export failed', ''+ex);
+        }
+    });
+});
+
+electron.ipcMain.on('pref_margin_level', function(ev, arg) {
+    set_appearance_pref('gamewin_marginlevel', arg);
     for (var id in gamewins) {
         var game = gamewins[id];
-        invoke_app_hook(game.win, 'set_color_theme', prefs.gamewin_colortheme);
+        invoke_app_hook(game.win, 'set_margin_level', game_pref(game, 'gamewin_marginlevel'));
     }
 });
 
-electron.ipcMain.on('pref_margin_level', function(ev, arg) {
-    prefs.gamewin_marginlevel = arg;
+electron.ipcMain.on('pref_ink_presentation', function(ev, arg) {
+    prefs.gamewin_inkpresentation = arg;
     note_prefs_dirty();
     for (var id in gamewins) {
         var game = gamewins[id];
-        invoke_app_hook(game.win, 'set_margin_level', prefs.gamewin_marginlevel);
+        invoke_app_hook(game.win, 'set_ink_presentation', prefs.gamewin_inkpresentation);
     }
 });
 
-electron.ipcMain.on('pref_zoom_level', function(ev, arg) {
-    prefs.gamewin_zoomlevel = arg;
+electron.ipcMain.on('pref_transcript_always', function(ev, arg) {
+    prefs.transcript_always = arg;
     note_prefs_dirty();
-    var val = zoom_factor_for_level(prefs.gamewin_zoomlevel);
-    set_zoom_factor_all(val);
+});
+
+electron.ipcMain.on('pref_transcript_format', function(ev, arg) {
+    prefs.transcript_format = arg;
+    note_prefs_dirty();
+});
+
+electron.ipcMain.on('pref_zoom_level', function(ev, arg) {
+    set_appearance_pref('gamewin_zoomlevel', arg);
+    set_zoom_factor_all();
 });
 
 electron.ipcMain.on('search_done', function(ev, arg) {
@@ -1354,6 +3417,11 @@ app.on('will-finish-launching', function() {
     }
     catch (ex) { }
 
+    if (headless) {
+        /* Command-line arguments were handled by parse_headless_args(). */
+        return;
+    }
+
     if (package_json.lectroteMainExtension) {
         main_extension = require(path_mod.join(__dirname, package_json.lectroteMainExtension));
         if (main_extension.launch)
@@ -1407,7 +3475,16 @@ app.on('will-finish-launching', function() {
 app.on('ready', function() {
     app_ready = true;
 
+    if (headless) {
+        run_headless();
+        return;
+    }
+
     load_prefs();
+    load_library();
+    catalog_start();
+    auto_theme_start();
+    user_fonts = userfonts.scan_fonts(userfontspath);
 
     if (process.platform != 'darwin' && process.platform != 'win32') {
         /* Mac windows don't have icons; Windows windows inherit their
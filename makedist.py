@@ -48,10 +48,20 @@ appfiles = [
     './package.json',
     './main.js',
     './apphooks.js',
-    './play.html',
     './prefs.html',
     './prefs.js',
+    './library.html',
+    './library.js',
+    './saves.html',
+    './saves.js',
     './fonts.js',
+    './userfonts.js',
+    './themes.js',
+    './themeeditor.html',
+    './themeeditor.js',
+    './blorb.js',
+    './ifid.js',
+    './replay.js',
     './about.html',
     './if-card.html',
     './if-card.js',
@@ -59,31 +69,10 @@ appfiles = [
     './play.css',
     './el-glkote.css',
     './icon-128.png',
-    './docicon-glulx.ico',
-    './docicon-zcode.ico',
-    './docicon-hugo.ico',
-    './docicon-json.ico',
     './quixe/lib/elkote.min.js',
     './quixe/lib/jquery-1.12.4.min.js',
-    './quixe/lib/quixe.min.js',
     './quixe/media/waiting.gif',
-    './zplay.html',
-    './ifvms/zvm.min.js',
-    './ifvms/zvm_dispload.min.js',
-    './ifvms/zvm.css',
-    './ifvms/package.json',
-    './hugoplay.html',
-    './hugoem/hugo.js',
-    './hugoem/hugo.js.mem',
-    './hugoem/emglken_dispload.min.js',
-    './hugoem/package.json',
-    './hugoem/versions.json',
-    './inkplay.html',
-    './inkplay.js',
-    './inkjs/ink.min.js',
-    './inkjs/ink-130.min.js',
-    './inkjs/ink-146.min.js',
-    './inkjs/package.json',
+    './engines/registry.js',
     './font',  # all files
 ]
 
@@ -92,6 +81,22 @@ rootfiles = [
     './LICENSES-FONTS.txt',
 ]
 
+def engine_manifests(pkg):
+    # Read the engine descriptions (see engines/registry.js). If
+    # package.json has a lectroteEngines list, only those engines are
+    # included.
+    enabled = pkg.get('lectroteEngines')
+    res = []
+    for filename in sorted(os.listdir('engines')):
+        if not filename.endswith('.json'):
+            continue
+        with open(os.path.join('engines', filename)) as fl:
+            manifest = json.load(fl)
+        if enabled and manifest['engine'] not in enabled:
+            continue
+        res.append(manifest)
+    return res
+
 def install(resourcedir, pkg):
     if not os.path.isdir(resourcedir):
         raise Exception('path does not exist: ' + resourcedir)
@@ -99,24 +104,27 @@ def install(resourcedir, pkg):
     print('Installing to: ' + appdir)
     
     os.makedirs(appdir, exist_ok=True)
-    qdir = os.path.join(appdir, 'quixe')
-    os.makedirs(qdir, exist_ok=True)
-    os.makedirs(os.path.join(qdir, 'lib'), exist_ok=True)
-    os.makedirs(os.path.join(qdir, 'media'), exist_ok=True)
-    zvmdir = os.path.join(appdir, 'ifvms')
-    os.makedirs(zvmdir, exist_ok=True)
-    hugodir = os.path.join(appdir, 'hugoem')
-    os.makedirs(hugodir, exist_ok=True)
-    inkdir = os.path.join(appdir, 'inkjs')
-    os.makedirs(inkdir, exist_ok=True)
-
-    for filename in appfiles:
+
+    # The engines' files are added to the common ones.
+    allfiles = list(appfiles)
+    for manifest in engine_manifests(pkg):
+        print('Including engine: ' + manifest['engine'])
+        enginefiles = [
+            './engines/%s.json' % (manifest['engine'],),
+            './engines/%s.js' % (manifest['engine'],),
+        ]
+        for filename in enginefiles + manifest['appfiles']:
+            if filename not in allfiles:
+                allfiles.append(filename)
+
+    for filename in allfiles:
         srcfilename = filename
         if opts.gamedir:
             val = os.path.join(opts.gamedir, filename)
             if os.path.exists(val):
                 srcfilename = val
         if not os.path.isdir(filename):
+            os.makedirs(os.path.dirname(os.path.join(appdir, filename)), exist_ok=True)
             shutil.copyfile(srcfilename, os.path.join(appdir, filename))
         else:
             subdirname = os.path.join(appdir, filename)
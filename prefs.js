@@ -2,51 +2,72 @@
 const electron = require('electron');
 
 const fonts = require('./fonts.js');
-
-/* Set up the initial appearance of the window. This adjusts the controls
-   and the sample text, but does not send changes to the app (because there
-   have been no changes yet).
+const themes = require('./themes.js');
+const userfonts = require('./userfonts.js');
+
+/* The prefs most recently sent by the app. */
+var cur_prefs = null;
+/* The game whose prefs we can edit, as { title, overrides }, or null
+   if no game window is open. */
+var cur_game = null;
+/* Which prefs we are editing: 'all' (the global prefs) or 'game' (the
+   overrides of cur_game). */
+var cur_scope = 'all';
+/* Whether the 'auto' color theme is currently showing its dark theme. */
+var cur_autodark = false;
+/* The font files the player has imported (see userfonts.js). */
+var cur_userfonts = [];
+/* Whether the controls have been set up. */
+var controls_ready = false;
+
+/* Set up the controls: fill in the menus and attach the event
+   handlers. This happens once. show_prefs() then sets the values.
 */
-function setup_with_prefs(prefs)
+function setup_controls()
 {
     var sel, optel;
 
-    sel = $('#sel-color-theme');
+    sel = $('#sel-scope');
     sel.prop('disabled', false);
-    sel.empty();
+    sel.on('change', evhan_scope);
+
+    $('#button-clear-overrides').on('click', evhan_clear_overrides);
 
-    for (var ix=0; ix<themelist.length; ix++) {
-        var theme = themelist[ix];
-        optel = $('<option>', { value:theme.key }).text(theme.label);
-        if (prefs.gamewin_colortheme == theme.key)
-            optel.prop('selected', true);
-        sel.append(optel);
-    }
 
+    sel = $('#sel-color-theme');
+    sel.prop('disabled', false);
     sel.on('change', evhan_color_theme);
-    apply_color_theme(prefs.gamewin_colortheme);
 
+    $('#button-edit-themes').on('click', evhan_edit_themes);
 
-    sel = $('#sel-font');
-    sel.prop('disabled', false);
+    $('#sel-autotheme-light').on('change', evhan_auto_theme);
+    $('#sel-autotheme-dark').on('change', evhan_auto_theme);
+
+    sel = $('#sel-autotheme-mode');
     sel.empty();
 
-    for (var ix=0; ix<fontlist.length; ix++) {
-        var font = fontlist[ix];
-        optel = $('<option>', { value:font.key }).text(font.label);
-        if (prefs.gamewin_font == font.key)
-            optel.prop('selected', true);
+    for (var ix=0; ix<autothememodelist.length; ix++) {
+        var mode = autothememodelist[ix];
+        /* Only MacOS tells us about its dark mode. */
+        if (mode.key == 'system' && process.platform != 'darwin')
+            continue;
+        optel = $('<option>', { value:mode.key }).text(mode.label);
         sel.append(optel);
     }
 
+    sel.on('change', evhan_auto_theme);
+
+    $('#input-autotheme-darkstart').on('change', evhan_auto_theme);
+    $('#input-autotheme-darkend').on('change', evhan_auto_theme);
+
+
+    sel = $('#sel-font');
+    sel.prop('disabled', false);
     sel.on('change', evhan_font);
 
-    var inpel = $('#input-font');
-    if (prefs.gamewin_customfont)
-        inpel.val(prefs.gamewin_customfont);
-    inpel.on('change', evhan_font);
+    $('#input-font').on('change', evhan_font);
 
-    apply_font(prefs.gamewin_font, prefs.gamewin_customfont);
+    $('#button-import-font').on('click', evhan_import_font);
 
 
     sel = $('#range-margin');
@@ -55,8 +76,68 @@ function setup_with_prefs(prefs)
     sel.attr('max', 5);
 
     sel.on('input', evhan_margin_level);
-    sel.val(prefs.gamewin_marginlevel);
-    apply_margin_level(prefs.gamewin_marginlevel);
+
+
+    sel = $('#range-lineheight');
+    sel.attr('step', 0.1);
+    sel.attr('min', 1.0);
+    sel.attr('max', 2.2);
+
+    sel.on('input', evhan_typography);
+
+    sel = $('#range-paraspacing');
+    sel.attr('step', 0.25);
+    sel.attr('min', 0);
+    sel.attr('max', 2);
+
+    sel.on('input', evhan_typography);
+
+    sel = $('#sel-columnwidth');
+    sel.prop('disabled', false);
+    sel.empty();
+
+    for (var ix=0; ix<columnwidthlist.length; ix++) {
+        var width = columnwidthlist[ix];
+        optel = $('<option>', { value:width.key }).text(width.label);
+        sel.append(optel);
+    }
+
+    sel.on('change', evhan_typography);
+
+    $('#check-justify').on('change', evhan_typography);
+    $('#check-hyphenate').on('change', evhan_typography);
+
+    sel = $('#sel-monofont');
+    sel.prop('disabled', false);
+    sel.on('change', evhan_typography);
+
+    $('#input-monofont').on('change', evhan_typography);
+
+
+    sel = $('#sel-ink-presentation');
+    sel.empty();
+
+    for (var ix=0; ix<inkpresentationlist.length; ix++) {
+        var mode = inkpresentationlist[ix];
+        optel = $('<option>', { value:mode.key }).text(mode.label);
+        sel.append(optel);
+    }
+
+    sel.on('change', evhan_ink_presentation);
+
+
+    $('#check-transcript-always').on('change', evhan_transcript_always);
+
+    sel = $('#sel-transcript-format');
+    sel.empty();
+
+    for (var ix=0; ix<transcriptformatlist.length; ix++) {
+        var format = transcriptformatlist[ix];
+        optel = $('<option>', { value:format.key }).text(format.label);
+        sel.append(optel);
+    }
+
+    sel.on('change', evhan_transcript_format);
 
 
     sel = $('#range-zoom');
@@ -65,8 +146,112 @@ function setup_with_prefs(prefs)
     sel.attr('max', 6);
 
     sel.on('input', evhan_zoom_level);
-    sel.val(prefs.gamewin_zoomlevel);
+}
+
+/* Set the controls and the sample text to match the prefs in the
+   current scope. This does not send changes to the app (because there
+   have been no changes).
+*/
+function show_prefs()
+{
+    var prefs = cur_prefs;
+    var gamescope = (cur_scope == 'game' && cur_game);
+    if (gamescope)
+        prefs = $.extend({}, cur_prefs, cur_game.overrides);
+
+    var optel = $('#sel-scope option[value="game"]');
+    if (cur_game) {
+        optel.text('This game only (' + cur_game.title + ')');
+        optel.prop('disabled', false);
+    }
+    else {
+        optel.text('This game only');
+        optel.prop('disabled', true);
+    }
+    $('#sel-scope').val(gamescope ? 'game' : 'all');
+
+    var hasoverrides = (gamescope && Object.keys(cur_game.overrides).length > 0);
+    $('#button-clear-overrides').css('display', (hasoverrides ? 'inline-block' : 'none'));
+
+    fill_theme_menu($('#sel-color-theme'), true);
+    $('#sel-color-theme').val(prefs.gamewin_colortheme);
+    apply_color_theme(prefs.gamewin_colortheme);
+
+    /* The automatic theme settings are shared by all games. */
+    fill_theme_menu($('#sel-autotheme-light'), false);
+    $('#sel-autotheme-light').val(cur_prefs.autotheme_light);
+    fill_theme_menu($('#sel-autotheme-dark'), false);
+    $('#sel-autotheme-dark').val(cur_prefs.autotheme_dark);
+    $('#sel-autotheme-mode').val((process.platform == 'darwin') ? cur_prefs.autotheme_mode : 'schedule');
+    $('#input-autotheme-darkstart').val(cur_prefs.autotheme_darkstart);
+    $('#input-autotheme-darkend').val(cur_prefs.autotheme_darkend);
+    apply_auto_theme_mode(cur_prefs.autotheme_mode);
+
+    apply_user_fonts();
+    fill_font_menu($('#sel-font'), fontlist);
+    $('#sel-font').val(prefs.gamewin_font);
+    $('#input-font').val(prefs.gamewin_customfont || '');
+    apply_font(prefs.gamewin_font, prefs.gamewin_customfont);
+
+    $('#range-margin').val(prefs.gamewin_marginlevel);
+    apply_margin_level(prefs.gamewin_marginlevel);
+
+    $('#range-zoom').val(prefs.gamewin_zoomlevel);
     apply_zoom_level(prefs.gamewin_zoomlevel);
+
+    var typography = {
+        lineheight: prefs.gamewin_lineheight,
+        paraspacing: prefs.gamewin_paraspacing,
+        columnwidth: prefs.gamewin_columnwidth,
+        justify: prefs.gamewin_justify,
+        hyphenate: prefs.gamewin_hyphenate,
+        monofont: prefs.gamewin_monofont,
+        custommonofont: prefs.gamewin_custommonofont
+    };
+    $('#range-lineheight').val(typography.lineheight);
+    $('#range-paraspacing').val(typography.paraspacing);
+    $('#sel-columnwidth').val(typography.columnwidth);
+    $('#check-justify').prop('checked', !!typography.justify);
+    $('#check-hyphenate').prop('checked', !!typography.hyphenate);
+    fill_font_menu($('#sel-monofont'), monofontlist);
+    $('#sel-monofont').val(typography.monofont);
+    $('#input-monofont').val(typography.custommonofont || '');
+    apply_typography(typography);
+
+    /* These prefs always apply to all games. */
+    $('#sel-ink-presentation').val(cur_prefs.gamewin_inkpresentation);
+    $('#sel-ink-presentation').prop('disabled', !!gamescope);
+    $('#check-transcript-always').prop('checked', !!cur_prefs.transcript_always);
+    $('#check-transcript-always').prop('disabled', !!gamescope);
+    $('#sel-transcript-format').val(cur_prefs.transcript_format);
+    $('#sel-transcript-format').prop('disabled', !!gamescope);
+}
+
+/* Return the value of an appearance pref as the window currently shows
+   it: the game's override, if we're editing a game that has one. */
+function current_pref(key)
+{
+    if (cur_scope == 'game' && cur_game && cur_game.overrides[key] !== undefined)
+        return cur_game.overrides[key];
+    return cur_prefs[key];
+}
+
+/* Note a change to an appearance pref, so that our copy of the prefs
+   stays current. (The app does the same with its copy.) A game override
+   which matches the global pref is dropped. */
+function store_pref(key, val)
+{
+    if (cur_scope == 'game' && cur_game) {
+        if (val === cur_prefs[key])
+            delete cur_game.overrides[key];
+        else
+            cur_game.overrides[key] = val;
+    }
+    else {
+        cur_prefs[key] = val;
+    }
+    var hasoverrides = (cur_scope == 'game' && cur_game && Object.keys(cur_game.overrides).length > 0);
+    $('#button-clear-overrides').css('display', (hasoverrides ? 'inline-block' : 'none'));
 }
 
 
@@ -77,39 +262,67 @@ function setup_with_prefs(prefs)
    in sync.
 */
 
-var themelist = [
-    { key:'light', label:'Light' },
-    { key:'sepia', label:'Sepia' },
-    { key:'slate', label:'Slate' },
-    { key:'dark', label:'Dark' }
+/* Fill in a color theme menu: the built-in themes, then the player's
+   custom themes. If withauto is set, the Automatic theme is offered
+   too. The custom themes can change while the window is open, so this
+   happens every time we show the prefs.
+*/
+function fill_theme_menu(sel, withauto)
+{
+    sel.empty();
+
+    if (withauto)
+        sel.append($('<option>', { value:'auto' }).text('Automatic'));
+
+    for (var ix=0; ix<themes.builtin_themes.length; ix++) {
+        var theme = themes.builtin_themes[ix];
+        var optel = $('<option>', { value:theme.key }).text(theme.label);
+        sel.append(optel);
+    }
+
+    var custom = cur_prefs.custom_themes || {};
+    var keys = Object.keys(custom);
+    keys.sort((a, b) => custom[a].name.localeCompare(custom[b].name));
+    for (var ix=0; ix<keys.length; ix++) {
+        var optel = $('<option>', { value:keys[ix] }).text(custom[keys[ix]].name);
+        sel.append(optel);
+    }
+}
+
+var autothememodelist = [
+    { key:'system', label:'Follow the system dark mode' },
+    { key:'schedule', label:'Dark on a schedule' }
 ];
 
 function apply_color_theme(val)
 {
     var bodyel = $('.Sample');
 
-    bodyel.removeClass('SepiaTheme');
-    bodyel.removeClass('SlateTheme');
-    bodyel.removeClass('DarkTheme');
-
-    switch (val) {
+    $('#autotheme-controls').css('display', ((val == 'auto') ? 'block' : 'none'));
+    if (val == 'auto')
+        val = (cur_autodark ? cur_prefs.autotheme_dark : cur_prefs.autotheme_light);
 
-    case 'sepia':
-        bodyel.addClass('SepiaTheme');
-        break;
+    bodyel.removeClass('SepiaTheme SlateTheme DarkTheme');
+    bodyel.css({ background:'', color:'' });
 
-    case 'slate':
-        bodyel.addClass('SlateTheme');
-        break;
+    if (themes.is_custom_key(val)) {
+        var theme = (cur_prefs.custom_themes || {})[val];
+        if (theme)
+            bodyel.css({ background:theme.colors.background, color:theme.colors.foreground });
+        return;
+    }
 
-    case 'dark':
-        bodyel.addClass('DarkTheme');
-        break;
+    var cssclass = themes.builtin_class(val);
+    if (cssclass)
+        bodyel.addClass(cssclass);
+}
 
-    default:
-        /* Light theme is the default. */
-        break;
-    }
+function apply_auto_theme_mode(val)
+{
+    /* On MacOS, system mode doesn't need the schedule. Elsewhere the
+       schedule is the only mode. */
+    var useschedule = (val == 'schedule' || process.platform != 'darwin');
+    $('#autotheme-schedule').css('display', (useschedule ? 'inline' : 'none'));
 }
 
 var fontlist = [
@@ -123,6 +336,46 @@ var fontlist = [
     { key:'custom', label:'Other Font...' }
 ];
 
+/* Fill in a font menu: the given built-in fonts, with the fonts the
+   player has imported just before "Other Font...". The imported fonts
+   can change while the window is open, so this happens every time we
+   show the prefs.
+*/
+function fill_font_menu(sel, list)
+{
+    sel.empty();
+
+    var families = userfonts.font_families(cur_userfonts);
+
+    for (var ix=0; ix<list.length; ix++) {
+        var font = list[ix];
+        if (font.key == 'custom') {
+            for (var jx=0; jx<families.length; jx++) {
+                var optel = $('<option>', { value:'user:'+families[jx] }).text(families[jx]);
+                sel.append(optel);
+            }
+        }
+        var optel = $('<option>', { value:font.key }).text(font.label);
+        sel.append(optel);
+    }
+}
+
+/* Register the imported fonts in this window, for the sample text. */
+function apply_user_fonts()
+{
+    var el = $('#userfontcss');
+    if (!cur_userfonts.length) {
+        el.remove();
+    }
+    else {
+        if (!el.length) {
+            el = $('<style>', { id:'userfontcss', type:'text/css' });
+            $('#bodycss').before(el);
+        }
+        el.text(userfonts.font_face_css(cur_userfonts));
+    }
+}
+
 function apply_font(fontkey, customfont)
 {
     var inpel = $('#input-font');
@@ -158,6 +411,77 @@ function apply_font(fontkey, customfont)
     }
 }
 
+var columnwidthlist = [
+    { key:0, label:'No limit' },
+    { key:50, label:'50 characters' },
+    { key:60, label:'60 characters' },
+    { key:70, label:'70 characters' },
+    { key:80, label:'80 characters' },
+    { key:90, label:'90 characters' },
+    { key:100, label:'100 characters' }
+];
+
+var monofontlist = [
+    { key:'sourcecodepro', label:'Source Code Pro' },
+    { key:'menlo', label:'Menlo' },
+    { key:'courier', label:'Courier' },
+    { key:'custom', label:'Other Font...' }
+];
+
+function apply_typography(obj)
+{
+    var inpel = $('#input-monofont');
+
+    if (obj.monofont == 'custom') {
+        if (inpel.css('display') != 'inline-block') {
+            inpel.css('display', 'inline-block');
+            inpel.select();
+            inpel.focus();
+        }
+    }
+    else {
+        if (inpel.css('display') != 'none') {
+            inpel.css('display', 'none');
+        }
+    }
+
+    $('#display-lineheight').text(Number(obj.lineheight).toFixed(1));
+    var text = 'None';
+    if (obj.paraspacing > 0)
+        text = obj.paraspacing + ' em';
+    $('#display-paraspacing').text(text);
+
+    text = fonts.get_typography_css(obj, {
+        text: '.SampleText',
+        line: '.SampleLine',
+        mono: '.SampleMono'
+    });
+
+    /* This goes after the page stylesheet, so that it overrides the
+       default .SampleText line height. */
+    var el = $('#typographycss');
+    if (!text) {
+        el.remove();
+    }
+    else {
+        if (!el.length) {
+            el = $('<style>', { id:'typographycss', type:'text/css' });
+            $('#bodycss').after(el);
+        }
+        el.text(text);
+    }
+}
+
+var inkpresentationlist = [
+    { key:'plain', label:'Show text all at once' },
+    { key:'slow', label:'Reveal text gradually' }
+];
+
+var transcriptformatlist = [
+    { key:'text', label:'Plain text' },
+    { key:'html', label:'HTML' }
+];
+
 function apply_margin_level(val)
 {
     var str = '0px ' + (5*val) + '%';
@@ -192,20 +516,75 @@ function apply_zoom_level(val)
    They invoke apply_... to adjust the sample text, and then send a
    pref update to the app. */
 
+function evhan_scope()
+{
+    var val = $('#sel-scope').val();
+    electron.ipcRenderer.send('pref_scope', val);
+}
+
+function evhan_clear_overrides()
+{
+    electron.ipcRenderer.send('pref_clear_overrides');
+}
+
 function evhan_color_theme()
 {
     var sel = $('#sel-color-theme');
     var val = sel.val();
     apply_color_theme(val);
+    store_pref('gamewin_colortheme', val);
     electron.ipcRenderer.send('pref_color_theme', val);
 }
 
+function evhan_auto_theme()
+{
+    var arg = {
+        light: $('#sel-autotheme-light').val(),
+        dark: $('#sel-autotheme-dark').val(),
+        mode: $('#sel-autotheme-mode').val(),
+        darkstart: $('#input-autotheme-darkstart').val() || cur_prefs.autotheme_darkstart,
+        darkend: $('#input-autotheme-darkend').val() || cur_prefs.autotheme_darkend
+    };
+    cur_prefs.autotheme_light = arg.light;
+    cur_prefs.autotheme_dark = arg.dark;
+    cur_prefs.autotheme_mode = arg.mode;
+    cur_prefs.autotheme_darkstart = arg.darkstart;
+    cur_prefs.autotheme_darkend = arg.darkend;
+    apply_auto_theme_mode(arg.mode);
+    apply_color_theme($('#sel-color-theme').val());
+    electron.ipcRenderer.send('pref_auto_theme', arg);
+}
+
+function evhan_edit_themes()
+{
+    electron.ipcRenderer.send('pref_edit_themes', $('#sel-color-theme').val());
+}
+
+function evhan_import_font()
+{
+    electron.ipcRenderer.send('pref_import_font');
+}
+
 function evhan_font()
 {
     var fontkey = $('#sel-font').val();
-    var customfont = $('#input-font').val();
+    var customfont = $('#input-font').val() || null;
     apply_font(fontkey, customfont);
-    electron.ipcRenderer.send('pref_font', fontkey, customfont);
+
+    /* Send only what changed, so that a game override isn't created
+       for the control the player didn't touch. */
+    var arg = {};
+    if (fontkey !== current_pref('gamewin_font'))
+        arg.font = fontkey;
+    if (customfont !== current_pref('gamewin_customfont'))
+        arg.customfont = customfont;
+    if (!Object.keys(arg).length)
+        return;
+    if (arg.font !== undefined)
+        store_pref('gamewin_font', fontkey);
+    if (arg.customfont !== undefined)
+        store_pref('gamewin_customfont', customfont);
+    electron.ipcRenderer.send('pref_font', arg);
 }
 
 function evhan_margin_level()
@@ -213,14 +592,64 @@ function evhan_margin_level()
     var sel = $('#range-margin');
     var val = Math.round(1 * sel.val()); /* cast to int */
     apply_margin_level(val);
+    store_pref('gamewin_marginlevel', val);
     electron.ipcRenderer.send('pref_margin_level', val);
 }
 
+function evhan_typography()
+{
+    var obj = {
+        lineheight: Math.round(10 * $('#range-lineheight').val()) / 10,
+        paraspacing: 1 * $('#range-paraspacing').val(),
+        columnwidth: parseInt($('#sel-columnwidth').val()),
+        justify: $('#check-justify').prop('checked'),
+        hyphenate: $('#check-hyphenate').prop('checked'),
+        monofont: $('#sel-monofont').val(),
+        custommonofont: $('#input-monofont').val() || null
+    };
+    apply_typography(obj);
+
+    /* As with the font, send only the fields that changed. */
+    var arg = {};
+    for (var field in obj) {
+        var key = 'gamewin_' + field;
+        if (obj[field] !== current_pref(key)) {
+            arg[field] = obj[field];
+            store_pref(key, obj[field]);
+        }
+    }
+    if (!Object.keys(arg).length)
+        return;
+    electron.ipcRenderer.send('pref_typography', arg);
+}
+
+function evhan_ink_presentation()
+{
+    var sel = $('#sel-ink-presentation');
+    cur_prefs.gamewin_inkpresentation = sel.val();
+    electron.ipcRenderer.send('pref_ink_presentation', sel.val());
+}
+
+function evhan_transcript_always()
+{
+    var sel = $('#check-transcript-always');
+    cur_prefs.transcript_always = sel.prop('checked');
+    electron.ipcRenderer.send('pref_transcript_always', sel.prop('checked'));
+}
+
+function evhan_transcript_format()
+{
+    var sel = $('#sel-transcript-format');
+    cur_prefs.transcript_format = sel.val();
+    electron.ipcRenderer.send('pref_transcript_format', sel.val());
+}
+
 function evhan_zoom_level()
 {
     var sel = $('#range-zoom');
     var val = Math.round(1 * sel.val()); /*cast to int */
     apply_zoom_level(val);
+    store_pref('gamewin_zoomlevel', val);
     electron.ipcRenderer.send('pref_zoom_level', val);
 }
 
@@ -228,9 +657,14 @@ function evhan_zoom_level()
 /* Respond to messages from the app. */
 
 electron.ipcRenderer.on('current-prefs', function(ev, arg) {
-    setup_with_prefs(arg);
-});
-electron.ipcRenderer.on('set-zoom-level', function(ev, arg) {
-    $('#range-zoom').val(arg);
-    apply_zoom_level(arg);
+    cur_prefs = arg.prefs;
+    cur_game = arg.game;
+    cur_scope = arg.scope;
+    cur_autodark = arg.autodark;
+    cur_userfonts = arg.userfonts || [];
+    if (!controls_ready) {
+        setup_controls();
+        controls_ready = true;
+    }
+    show_prefs();
 });
@@ -0,0 +1,153 @@
+'use strict';
+
+/* Command replay scripts, for testing games. A script is a text file
+   with one command per line. Each command is fed to the game as if the
+   player typed it. (For an Ink game, a command is the number or letter
+   of a choice, just as the player would type it.)
+
+   Lines beginning with "@" are directives:
+     @pause MS -- wait MS milliseconds before the next command
+     @expect TEXT -- the output since the last command must contain TEXT
+       (case-insensitive; whitespace is collapsed)
+     @expect /REGEXP/FLAGS -- the output must match a regular expression
+     @expect-not TEXT -- the output must not contain TEXT (or match
+       /REGEXP/)
+   A line beginning with "@@" is a command starting with "@". Lines
+   beginning with "#" are comments, and blank lines are ignored.
+
+   This module is used both by the game window (which runs the script)
+   and by the main process (which reports the results).
+*/
+
+/* Parse a script. Returns a list of steps, each of which is one of
+     { type:'command', text, line }
+     { type:'pause', ms, line }
+     { type:'expect', pattern, negate, source, line }
+   (line numbers start at 1). Throws an Error for an unrecognized
+   directive.
+*/
+function parse_script(text)
+{
+    var steps = [];
+    var lines = text.split(/\r\n|\r|\n/);
+
+    for (var ix=0; ix<lines.length; ix++) {
+        var linenum = ix+1;
+        var line = lines[ix].trim();
+        if (!line.length || line[0] == '#')
+            continue;
+
+        if (line.slice(0, 2) == '@@') {
+            steps.push({ type:'command', text:line.slice(1), line:linenum });
+            continue;
+        }
+        if (line[0] != '@') {
+            steps.push({ type:'command', text:line, line:linenum });
+            continue;
+        }
+
+        var pos = line.search(/\s/);
+        var directive = (pos < 0) ? line : line.slice(0, pos);
+        var arg = (pos < 0) ? '' : line.slice(pos).trim();
+
+        switch (directive.toLowerCase()) {
+        case '@pause':
+            var ms = parseInt(arg);
+            if (isNaN(ms) || ms < 0)
+                throw new Error('Line ' + linenum + ': @pause needs a number of milliseconds');
+            steps.push({ type:'pause', ms:ms, line:linenum });
+            break;
+        case '@expect':
+        case '@expect-not':
+            if (!arg.length)
+                throw new Error('Line ' + linenum + ': ' + directive + ' needs some text');
+            steps.push({
+                type: 'expect',
+                pattern: parse_pattern(arg, linenum),
+                negate: (directive.toLowerCase() == '@expect-not'),
+                source: arg,
+                line: linenum
+            });
+            break;
+        default:
+            throw new Error('Line ' + linenum + ': unknown directive ' + directive);
+        }
+    }
+
+    return steps;
+}
+
+/* Convert the argument of an @expect line to a RegExp. */
+function parse_pattern(arg, linenum)
+{
+    var match = arg.match(/^\/(.*)\/([a-z]*)$/);
+    if (match) {
+        try {
+            return new RegExp(match[1], match[2]);
+        }
+        catch (ex) {
+            throw new Error('Line ' + linenum + ': bad regular expression: ' + ex.message);
+        }
+    }
+
+    var words = normalize_text(arg).split(' ');
+    words = words.map(val => val.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    return new RegExp(words.join('\\s+'), 'i');
+}
+
+/* Collapse runs of whitespace, so that line breaks in the output don't
+   affect matching. */
+function normalize_text(text)
+{
+    return text.replace(/\s+/g, ' ').trim();
+}
+
+/* Check an expect step against the output text. Returns true if the
+   step passes. */
+function check_expect(step, output)
+{
+    var found = step.pattern.test(normalize_text(output));
+    return (step.negate ? !found : found);
+}
+
+/* Describe the results of a replay, in a form suitable for a dialog or
+   the console. The results object contains:
+     name: the script's filename
+     commands: number of commands sent
+     expects: number of expect steps checked
+     failures: list of { line, source, negate, output }
+     unfinished: number of steps not run (because the game stopped
+       accepting input), or zero
+   Returns { summary, detail }.
+*/
+function format_report(results)
+{
+    var summary;
+    if (!results.failures.length && !results.unfinished)
+        summary = 'Replay of ' + results.name + ' passed.';
+    else
+        summary = 'Replay of ' + results.name + ' found problems.';
+
+    var detail = [];
+    detail.push(results.commands + ' command' + ((results.commands == 1) ? '' : 's') + ' sent; '
+        + results.expects + ' expectation' + ((results.expects == 1) ? '' : 's') + ' checked; '
+        + results.failures.length + ' failed.');
+    if (results.unfinished)
+        detail.push('The game stopped accepting input with ' + results.unfinished + ' step' + ((results.unfinished == 1) ? '' : 's') + ' left to run.');
+
+    for (var ix=0; ix<results.failures.length; ix++) {
+        var failure = results.failures[ix];
+        var output = normalize_text(failure.output);
+        if (output.length > 160)
+            output = '\u2026' + output.slice(-160);
+        detail.push('');
+        detail.push('Line ' + failure.line + ': ' + (failure.negate ? 'did not expect ' : 'expected ') + failure.source);
+        detail.push('Output was: ' + (output || '(none)'));
+    }
+
+    return { summary:summary, detail:detail.join('\n') };
+}
+
+exports.parse_script = parse_script;
+exports.check_expect = check_expect;
+exports.format_report = format_report;
@@ -0,0 +1,112 @@
+'use strict';
+const electron = require('electron');
+
+/* The most recent save information sent by the app:
+   { title, supported, saves }. */
+var current = { title:null, supported:false, saves:[] };
+
+function format_date(val)
+{
+    if (!val)
+        return '--';
+    return new Date(val).toLocaleString();
+}
+
+/* Rebuild the table from the current save list. */
+function rebuild_list()
+{
+    var bodyel = $('#savelist tbody');
+    bodyel.empty();
+
+    if (current.title)
+        $('#gametitle').text(current.title);
+    else
+        $('#gametitle').text('No game is open.');
+
+    var usable = (current.title && current.supported);
+    $('#input-name').prop('disabled', !usable);
+    $('#button-create').prop('disabled', !usable);
+
+    for (var ix=0; ix<current.saves.length; ix++)
+        bodyel.append(construct_row(current.saves[ix]));
+
+    $('#savelist').css('display', (current.saves.length ? 'table' : 'none'));
+    $('#empty').css('display', ((usable && !current.saves.length) ? 'block' : 'none'));
+    $('#unsupported').css('display', ((current.title && !current.supported) ? 'block' : 'none'));
+}
+
+function construct_row(save)
+{
+    var id = save.id;
+    var rowel = $('<tr>', { 'class':'SaveRow' });
+
+    var cellel = $('<td>');
+    var nameel = $('<input>', { 'class':'Name', type:'text' });
+    nameel.val(save.name);
+    nameel.on('change', function() {
+        var name = nameel.val().trim();
+        if (!name) {
+            nameel.val(save.name);
+            return;
+        }
+        save.name = name;
+        electron.ipcRenderer.send('save_rename', id, name);
+    });
+    cellel.append(nameel);
+    if (save.kind == 'auto')
+        cellel.append(' ', $('<span>', { 'class':'Kind' }).text('(automatic)'));
+    if (save.excerpt)
+        cellel.append($('<div>', { 'class':'Excerpt' }).text(save.excerpt));
+    rowel.append(cellel);
+
+    rowel.append($('<td>').text((save.turn === null || save.turn === undefined) ? '--' : save.turn));
+    rowel.append($('<td>').text(format_date(save.timestamp)));
+
+    cellel = $('<td>', { 'class':'Buttons' });
+    var buttonel = $('<button>').text('Restore');
+    buttonel.on('click', function() {
+        electron.ipcRenderer.send('save_restore', id);
+    });
+    cellel.append(buttonel, ' ');
+    buttonel = $('<button>').text('Duplicate');
+    buttonel.on('click', function() {
+        electron.ipcRenderer.send('save_duplicate', id);
+    });
+    cellel.append(buttonel, ' ');
+    buttonel = $('<button>').text('Delete');
+    buttonel.on('click', function() {
+        electron.ipcRenderer.send('save_delete', id);
+    });
+    cellel.append(buttonel);
+    rowel.append(cellel);
+
+    return rowel;
+}
+
+function evhan_create()
+{
+    var name = $('#input-name').val().trim();
+    if (!name)
+        name = 'Saved position';
+    $('#input-name').val('');
+    electron.ipcRenderer.send('save_create', name);
+}
+
+$(document).ready(function() {
+    $('#button-create').on('click', evhan_create);
+    $('#input-name').on('keypress', function(ev) {
+        if (ev.which == 13)
+            evhan_create();
+    });
+});
+
+/* Respond to messages from the app. */
+
+electron.ipcRenderer.on('current-saves', function(ev, arg) {
+    current = arg;
+    /* Don't rebuild while the player is renaming a save; the rebuild
+       would throw away their typing. */
+    if ($(document.activeElement).hasClass('Name'))
+        return;
+    rebuild_list();
+});
@@ -0,0 +1,565 @@
+'use strict';
+
+/* Decoders for the Blorb sound formats which Chromium can't decode by
+   itself. (Ogg Vorbis goes through AudioContext.decodeAudioData.)
+   Each decoder takes a Buffer and an AudioContext. decode_aiff returns
+   an AudioBuffer; render_mod, which is much slower, returns a Promise
+   of one. They throw (or reject) if the data is unplayable.
+
+   The Blorb spec allows AIFF, Ogg, and MOD sounds:
+     http://eblong.com/zarf/blorb/blorb.html#sounds
+*/
+
+/* AIFF (and uncompressed AIFF-C). The argument is the contents of the
+   FORM chunk: the 'AIFF' or 'AIFC' type ID, followed by subchunks. */
+function decode_aiff(buf, ctx)
+{
+    var formtype = buf.toString('latin1', 0, 4);
+    if (formtype != 'AIFF' && formtype != 'AIFC')
+        throw new Error('Not an AIFF sound');
+
+    var comm = null;
+    var ssnd = null;
+    var pos = 4;
+    while (pos+8 <= buf.length) {
+        var type = buf.toString('latin1', pos, pos+4);
+        var len = buf.readUInt32BE(pos+4);
+        var start = pos+8;
+        if (type == 'COMM')
+            comm = start;
+        else if (type == 'SSND')
+            ssnd = start;
+        pos = start + len;
+        if (pos & 1)
+            pos++;
+    }
+
+    if (comm === null || ssnd === null)
+        throw new Error('AIFF sound is missing COMM or SSND');
+
+    var channels = buf.readInt16BE(comm);
+    var frames = buf.readUInt32BE(comm+2);
+    var samplesize = buf.readInt16BE(comm+6);
+    var rate = read_extended(buf, comm+8);
+
+    /* AIFF-C adds a compression type. We handle the two uncompressed
+       kinds: big-endian ('NONE') and little-endian ('sowt'). */
+    var littleendian = false;
+    if (formtype == 'AIFC') {
+        var compression = buf.toString('latin1', comm+18, comm+22);
+        if (compression == 'sowt')
+            littleendian = true;
+        else if (compression != 'NONE')
+            throw new Error('AIFF-C compression not supported: ' + compression);
+    }
+
+    var bytes = Math.ceil(samplesize / 8);
+    if (channels < 1 || bytes < 1 || bytes > 4)
+        throw new Error('AIFF sample format not supported');
+
+    var datapos = ssnd + 8 + buf.readUInt32BE(ssnd);
+    frames = Math.min(frames, Math.floor((buf.length - datapos) / (bytes * channels)));
+    if (frames <= 0)
+        throw new Error('AIFF sound is empty');
+
+    var scale = Math.pow(2, 8*bytes - 1);
+    var audio = ctx.createBuffer(channels, frames, rate);
+    for (var ch=0; ch<channels; ch++) {
+        var out = audio.getChannelData(ch);
+        var sampos = datapos + ch * bytes;
+        for (var ix=0; ix<frames; ix++) {
+            var val = (littleendian ? buf.readIntLE(sampos, bytes) : buf.readIntBE(sampos, bytes));
+            out[ix] = val / scale;
+            sampos += bytes * channels;
+        }
+    }
+    return audio;
+}
+
+/* Read an 80-bit IEEE extended float, which is how AIFF stores the
+   sample rate. */
+function read_extended(buf, pos)
+{
+    var sign = (buf[pos] & 0x80) ? -1 : 1;
+    var exponent = ((buf[pos] & 0x7F) << 8) | buf[pos+1];
+    var mantissa = buf.readUInt32BE(pos+2) * 4294967296 + buf.readUInt32BE(pos+6);
+    if (exponent == 0 && mantissa == 0)
+        return 0;
+    return sign * mantissa * Math.pow(2, exponent - 16383 - 63);
+}
+
+/* The Amiga Paula clock (PAL), which turns MOD periods into sample
+   rates. */
+const amiga_clock = 7093789.2;
+/* Limits on a MOD period, as ProTracker enforces them. */
+const period_min = 113;
+const period_max = 856;
+/* The longest MOD song we render, in seconds. A song that never ends
+   (one that loops back on itself without a repeating position) is cut
+   off here. */
+const mod_max_seconds = 60;
+/* How long to render a MOD in one go, in milliseconds, before letting
+   the window handle other events. */
+const mod_slice_ms = 15;
+
+/* The ProTracker vibrato and tremolo waveform: half a sine wave, in 32
+   steps. */
+const sine_table = [
+    0, 24, 49, 74, 97, 120, 141, 161, 180, 197, 212, 224, 235, 244, 250, 253,
+    255, 253, 250, 244, 235, 224, 212, 197, 180, 161, 141, 120, 97, 74, 49, 24
+];
+
+/* Parse a MOD (ProTracker-style) module. Returns { channels, samples,
+   orders, patterns }, or throws an exception. */
+function parse_mod(buf)
+{
+    var channels = 4;
+    var samplecount = 31;
+
+    var sig = (buf.length >= 1084) ? buf.toString('latin1', 1080, 1084) : '';
+    var match;
+    if (sig == 'M.K.' || sig == 'M!K!' || sig == 'FLT4' || sig == '4CHN')
+        channels = 4;
+    else if (sig == 'FLT8')
+        channels = 8;
+    else if ((match = sig.match(/^([1-9])CHN$/)))
+        channels = parseInt(match[1]);
+    else if ((match = sig.match(/^([1-9][0-9])C[HN]$/)))
+        channels = parseInt(match[1]);
+    else
+        samplecount = 15; /* old Soundtracker module, with no signature */
+
+    var pos = 20;
+    var samples = [];
+    for (var ix=0; ix<samplecount; ix++) {
+        var finetune = buf[pos+24] & 0x0F;
+        if (finetune >= 8)
+            finetune -= 16;
+        samples.push({
+            length: buf.readUInt16BE(pos+22) * 2,
+            finetune: finetune,
+            volume: Math.min(buf[pos+25], 64),
+            loopstart: buf.readUInt16BE(pos+26) * 2,
+            looplen: buf.readUInt16BE(pos+28) * 2,
+            data: null
+        });
+        pos += 30;
+    }
+
+    var songlength = buf[pos];
+    pos += 2;
+    if (songlength < 1 || songlength > 128)
+        throw new Error('MOD song length is invalid');
+    var orders = [];
+    var patterncount = 0;
+    for (var ix=0; ix<128; ix++) {
+        if (ix < songlength)
+            orders.push(buf[pos+ix]);
+        patterncount = Math.max(patterncount, buf[pos+ix]+1);
+    }
+    pos += 128;
+    if (samplecount == 31)
+        pos += 4;
+
+    var rowsize = 4 * channels;
+    var patterns = [];
+    for (var ix=0; ix<patterncount; ix++) {
+        if (pos + 64*rowsize > buf.length)
+            throw new Error('MOD file is truncated');
+        var rows = [];
+        for (var row=0; row<64; row++) {
+            var notes = [];
+            for (var ch=0; ch<channels; ch++) {
+                var b = pos + row*rowsize + ch*4;
+                notes.push({
+                    sample: (buf[b] & 0xF0) | (buf[b+2] >> 4),
+                    period: ((buf[b] & 0x0F) << 8) | buf[b+1],
+                    effect: buf[b+2] & 0x0F,
+                    param: buf[b+3]
+                });
+            }
+            rows.push(notes);
+        }
+        patterns.push(rows);
+        pos += 64*rowsize;
+    }
+
+    for (var ix=0; ix<samples.length; ix++) {
+        var sample = samples[ix];
+        var len = Math.max(0, Math.min(sample.length, buf.length - pos));
+        sample.data = new Float32Array(len);
+        for (var jx=0; jx<len; jx++)
+            sample.data[jx] = buf.readInt8(pos+jx) / 128;
+        sample.length = len;
+        if (sample.looplen <= 2 || sample.loopstart >= len) {
+            sample.looplen = 0;
+        }
+        else if (sample.loopstart + sample.looplen > len) {
+            sample.looplen = len - sample.loopstart;
+        }
+        pos += len;
+    }
+
+    return { channels:channels, samples:samples, orders:orders, patterns:patterns };
+}
+
+/* Render a MOD module to an AudioBuffer. This plays the song once
+   through, stopping when it jumps back to a position it has already
+   played. We support the common ProTracker effects; the rarely-used
+   ones (glissando control, waveform selection, funk repeat, pattern
+   delay) are ignored.
+
+   Rendering takes a while, so it's done a slice at a time on timers,
+   and the result is a Promise. (The module is parsed up front, so a
+   bad file throws right away.)
+*/
+function render_mod(buf, ctx)
+{
+    var mod = parse_mod(buf);
+    var rate = ctx.sampleRate;
+
+    var chans = [];
+    for (var ch=0; ch<mod.channels; ch++) {
+        chans.push({
+            sample: null, pos: 0, active: false,
+            period: 0, volume: 0, finetune: 0,
+            portatarget: 0, portaspeed: 0,
+            vibspeed: 0, vibdepth: 0, vibpos: 0,
+            tremspeed: 0, tremdepth: 0, trempos: 0,
+            offset: 0, loopstart: 0, loopcount: 0,
+            note: null, pan: ((ch % 4 == 0 || ch % 4 == 3) ? 0.2 : 0.8)
+        });
+    }
+    var gain = 1.8 / mod.channels;
+
+    var speed = 6;
+    var tempo = 125;
+    var order = 0;
+    var row = 0;
+    var visited = {};
+    var maxframes = mod_max_seconds * rate;
+
+    var left = [];
+    var right = [];
+    var frames = 0;
+
+    var trigger = function(chan, note) {
+        if (note.sample && mod.samples[note.sample-1]) {
+            var sample = mod.samples[note.sample-1];
+            chan.sample = sample;
+            chan.volume = sample.volume;
+            chan.finetune = sample.finetune;
+        }
+        if (note.period && chan.sample) {
+            chan.period = Math.round(note.period * Math.pow(2, -chan.finetune/96));
+            chan.pos = 0;
+            chan.active = true;
+            chan.vibpos = 0;
+            chan.trempos = 0;
+            if (note.effect == 9) {
+                if (note.param)
+                    chan.offset = note.param * 256;
+                chan.pos = chan.offset;
+            }
+        }
+    };
+
+    visited[order] = true;
+
+    /* Render one row. Returns true if the song has looped. */
+    var render_row = function() {
+        var pattern = mod.patterns[mod.orders[order]];
+        var notes = pattern[row];
+        var nextorder = null;
+        var nextrow = null;
+        var looprow = null;
+
+        /* Tick zero: start the notes and handle the once-per-row
+           effects. */
+        for (var ch=0; ch<mod.channels; ch++) {
+            var chan = chans[ch];
+            var note = notes[ch];
+            var effect = note.effect;
+            var param = note.param;
+            var px = param >> 4;
+            var py = param & 0x0F;
+            chan.note = note;
+
+            if (effect == 3 || effect == 5) {
+                /* Tone portamento: the note is a target, not a new
+                   note. */
+                if (note.sample && mod.samples[note.sample-1])
+                    chan.volume = mod.samples[note.sample-1].volume;
+                if (note.period)
+                    chan.portatarget = note.period;
+                if (effect == 3 && param)
+                    chan.portaspeed = param;
+            }
+            else if (!(effect == 0x0E && px == 0x0D && py)) {
+                trigger(chan, note);
+            }
+
+            switch (effect) {
+            case 0x04:
+                if (px)
+                    chan.vibspeed = px;
+                if (py)
+                    chan.vibdepth = py;
+                break;
+            case 0x07:
+                if (px)
+                    chan.tremspeed = px;
+                if (py)
+                    chan.tremdepth = py;
+                break;
+            case 0x0B:
+                nextorder = param;
+                nextrow = 0;
+                break;
+            case 0x0C:
+                chan.volume = Math.min(param, 64);
+                break;
+            case 0x0D:
+                if (nextorder === null)
+                    nextorder = order + 1;
+                nextrow = Math.min(px * 10 + py, 63);
+                break;
+            case 0x0E:
+                switch (px) {
+                case 0x01:
+                    chan.period = Math.max(chan.period - py, period_min);
+                    break;
+                case 0x02:
+                    chan.period = Math.min(chan.period + py, period_max);
+                    break;
+                case 0x06:
+                    if (!py) {
+                        chan.loopstart = row;
+                    }
+                    else if (chan.loopcount == 0) {
+                        chan.loopcount = py;
+                        looprow = chan.loopstart;
+                    }
+                    else if (--chan.loopcount > 0) {
+                        looprow = chan.loopstart;
+                    }
+                    break;
+                case 0x0A:
+                    chan.volume = Math.min(chan.volume + py, 64);
+                    break;
+                case 0x0B:
+                    chan.volume = Math.max(chan.volume - py, 0);
+                    break;
+                case 0x0C:
+                    if (!py)
+                        chan.volume = 0;
+                    break;
+                }
+                break;
+            case 0x0F:
+                if (param && param < 32)
+                    speed = param;
+                else if (param >= 32)
+                    tempo = param;
+                break;
+            }
+        }
+
+        for (var tick=0; tick<speed; tick++) {
+            /* The continuous effects happen on every tick but the
+               first. */
+            for (var ch=0; ch<mod.channels; ch++) {
+                var chan = chans[ch];
+                var note = chan.note;
+                var effect = note.effect;
+                var param = note.param;
+                var px = param >> 4;
+                var py = param & 0x0F;
+                chan.periodoff = 1;
+                chan.voloff = 0;
+
+                if (effect == 0 && param) {
+                    /* Arpeggio */
+                    var semis = [0, px, py][tick % 3];
+                    chan.periodoff = Math.pow(2, -semis/12);
+                }
+                if (!tick) {
+                    if (effect == 0x04 || effect == 0x06)
+                        chan.periodoff = vibrato_factor(chan);
+                    continue;
+                }
+
+                switch (effect) {
+                case 0x01:
+                    chan.period = Math.max(chan.period - param, period_min);
+                    break;
+                case 0x02:
+                    chan.period = Math.min(chan.period + param, period_max);
+                    break;
+                case 0x03:
+                case 0x05:
+                    if (chan.portatarget && chan.period) {
+                        if (chan.period < chan.portatarget)
+                            chan.period = Math.min(chan.period + chan.portaspeed, chan.portatarget);
+                        else
+                            chan.period = Math.max(chan.period - chan.portaspeed, chan.portatarget);
+                    }
+                    break;
+                case 0x04:
+                case 0x06:
+                    chan.vibpos = (chan.vibpos + chan.vibspeed) & 63;
+                    chan.periodoff = vibrato_factor(chan);
+                    break;
+                case 0x07:
+                    chan.trempos = (chan.trempos + chan.tremspeed) & 63;
+                    var delta = (sine_table[chan.trempos & 31] * chan.tremdepth) >> 6;
+                    chan.voloff = (chan.trempos < 32) ? delta : -delta;
+                    break;
+                case 0x0E:
+                    if (px == 0x09 && py && tick % py == 0)
+                        chan.pos = 0;
+                    else if (px == 0x0C && tick == py)
+                        chan.volume = 0;
+                    else if (px == 0x0D && tick == py)
+                        trigger(chan, note);
+                    break;
+                }
+
+                if (effect == 0x05 || effect == 0x06 || effect == 0x0A) {
+                    if (px)
+                        chan.volume = Math.min(chan.volume + px, 64);
+                    else
+                        chan.volume = Math.max(chan.volume - py, 0);
+                }
+            }
+
+            var count = Math.round(rate * 2.5 / tempo);
+            var outl = new Float32Array(count);
+            var outr = new Float32Array(count);
+            for (var ch=0; ch<mod.channels; ch++) {
+                mix_channel(chans[ch], outl, outr, rate, gain);
+            }
+            left.push(outl);
+            right.push(outr);
+            frames += count;
+        }
+
+        /* Move on. A pattern loop stays in the same position; anything
+           else that lands on a position we've played means the song
+           has looped, and we're done. */
+        var neworder = null;
+        if (looprow !== null) {
+            row = looprow;
+        }
+        else if (nextorder !== null) {
+            neworder = nextorder;
+            row = nextrow;
+        }
+        else {
+            row++;
+            if (row >= 64) {
+                neworder = order + 1;
+                row = 0;
+            }
+        }
+        if (neworder !== null) {
+            if (neworder >= mod.orders.length) {
+                neworder = 0;
+                row = 0;
+            }
+            if (visited[neworder])
+                return true;
+            visited[neworder] = true;
+            order = neworder;
+        }
+        return false;
+    };
+
+    var finish = function() {
+        if (!frames)
+            throw new Error('MOD song is empty');
+
+        var audio = ctx.createBuffer(2, Math.min(frames, maxframes), rate);
+        var datal = audio.getChannelData(0);
+        var datar = audio.getChannelData(1);
+        var pos = 0;
+        for (var ix=0; ix<left.length && pos<audio.length; ix++) {
+            var len = Math.min(left[ix].length, audio.length - pos);
+            datal.set(left[ix].subarray(0, len), pos);
+            datar.set(right[ix].subarray(0, len), pos);
+            pos += len;
+        }
+        return audio;
+    };
+
+    return new Promise(function(resolve, reject) {
+        var done = false;
+        var render_slice = function() {
+            try {
+                var slicestart = Date.now();
+                while (!done && frames < maxframes) {
+                    done = render_row();
+                    if (Date.now() - slicestart >= mod_slice_ms)
+                        break;
+                }
+                if (!done && frames < maxframes) {
+                    setTimeout(render_slice, 0);
+                    return;
+                }
+                resolve(finish());
+            }
+            catch (ex) {
+                reject(ex);
+            }
+        };
+        render_slice();
+    });
+}
+
+function vibrato_factor(chan)
+{
+    var delta = (sine_table[chan.vibpos & 31] * chan.vibdepth) >> 7;
+    if (chan.vibpos >= 32)
+        delta = -delta;
+    return (chan.period + delta) / chan.period;
+}
+
+/* Mix one tick of a MOD channel into the output arrays. */
+function mix_channel(chan, outl, outr, rate, gain)
+{
+    var sample = chan.sample;
+    if (!chan.active || !sample || !chan.period || !sample.length)
+        return;
+
+    var period = chan.period * chan.periodoff;
+    var step = amiga_clock / (2 * period) / rate;
+    var volume = Math.max(0, Math.min(chan.volume + chan.voloff, 64)) / 64 * gain;
+    var voll = volume * (1 - chan.pan);
+    var volr = volume * chan.pan;
+    var data = sample.data;
+    var loopend = sample.loopstart + sample.looplen;
+    var pos = chan.pos;
+
+    for (var ix=0; ix<outl.length; ix++) {
+        if (sample.looplen) {
+            while (pos >= loopend)
+                pos -= sample.looplen;
+        }
+        else if (pos >= sample.length) {
+            chan.active = false;
+            break;
+        }
+        var ipos = Math.floor(pos);
+        var frac = pos - ipos;
+        var next = (ipos+1 < sample.length) ? data[ipos+1] : data[ipos];
+        var val = data[ipos] + (next - data[ipos]) * frac;
+        outl[ix] += val * voll;
+        outr[ix] += val * volr;
+        pos += step;
+    }
+
+    chan.pos = pos;
+}
+
+exports.decode_aiff = decode_aiff;
+exports.render_mod = render_mod;
@@ -0,0 +1,192 @@
+'use strict';
+const electron = require('electron');
+
+const themes = require('./themes.js');
+
+/* The custom themes most recently sent by the app. Maps theme keys to
+   theme objects. We update our copy as the player edits. */
+var cur_themes = {};
+/* The key of the theme being edited, or null if there are none. */
+var cur_key = null;
+
+/* Return the custom theme keys, sorted by theme name. */
+function sorted_keys()
+{
+    var keys = Object.keys(cur_themes);
+    keys.sort((a, b) => cur_themes[a].name.localeCompare(cur_themes[b].name));
+    return keys;
+}
+
+/* Build the color tables. This happens once; show_theme() then sets
+   the values. */
+function construct_tables()
+{
+    var tableel = $('#colortable');
+    for (var ix=0; ix<themes.color_fields.length; ix++) {
+        var field = themes.color_fields[ix];
+        var rowel = $('<tr>');
+        var inputel = $('<input>', { id:'color-'+field.key, type:'color' });
+        inputel.on('input', evhan_change);
+        rowel.append($('<td>').append(inputel));
+        rowel.append($('<td>').append($('<label>', { 'for':'color-'+field.key }).text(field.label)));
+        tableel.append(rowel);
+    }
+
+    tableel = $('#styletable');
+    for (var ix=0; ix<themes.style_fields.length; ix++) {
+        var field = themes.style_fields[ix];
+        var rowel = $('<tr>');
+        var checkel = $('<input>', { id:'check-style-'+field.key, type:'checkbox' });
+        checkel.on('change', evhan_change);
+        var inputel = $('<input>', { id:'style-'+field.key, type:'color' });
+        inputel.on('input', evhan_change);
+        rowel.append($('<td>').append(checkel));
+        rowel.append($('<td>').append(inputel));
+        rowel.append($('<td>').append($('<label>', { 'for':'check-style-'+field.key }).text(field.label)));
+        tableel.append(rowel);
+    }
+}
+
+/* Rebuild the menus from the current theme list, and show the theme
+   being edited. */
+function rebuild()
+{
+    var keys = sorted_keys();
+
+    var sel = $('#sel-base');
+    var baseval = sel.val();
+    sel.empty();
+    for (var ix=0; ix<themes.builtin_themes.length; ix++) {
+        var theme = themes.builtin_themes[ix];
+        sel.append($('<option>', { value:theme.key }).text(theme.label));
+    }
+    for (var ix=0; ix<keys.length; ix++)
+        sel.append($('<option>', { value:keys[ix] }).text(cur_themes[keys[ix]].name));
+    if (baseval && sel.find('option[value="'+baseval+'"]').length)
+        sel.val(baseval);
+
+    sel = $('#sel-theme');
+    sel.empty();
+    for (var ix=0; ix<keys.length; ix++)
+        sel.append($('<option>', { value:keys[ix] }).text(cur_themes[keys[ix]].name));
+
+    if (!cur_key || !cur_themes[cur_key])
+        cur_key = (keys.length ? keys[0] : null);
+
+    $('#empty').css('display', (cur_key ? 'none' : 'block'));
+    $('#editor').css('display', (cur_key ? 'block' : 'none'));
+
+    if (cur_key) {
+        sel.val(cur_key);
+        show_theme();
+    }
+}
+
+/* Set the controls and the preview to match the current theme. */
+function show_theme()
+{
+    var theme = cur_themes[cur_key];
+
+    $('#input-name').val(theme.name);
+
+    for (var ix=0; ix<themes.color_fields.length; ix++) {
+        var key = themes.color_fields[ix].key;
+        $('#color-'+key).val(theme.colors[key]);
+    }
+
+    for (var ix=0; ix<themes.style_fields.length; ix++) {
+        var key = themes.style_fields[ix].key;
+        var val = theme.styles[key];
+        $('#check-style-'+key).prop('checked', !!val);
+        $('#style-'+key).val(val || theme.colors.foreground);
+        $('#style-'+key).prop('disabled', !val);
+    }
+
+    apply_preview(theme);
+}
+
+/* Construct a theme object from the controls. */
+function read_theme()
+{
+    var theme = { name:$('#input-name').val().trim(), colors:{}, styles:{} };
+    if (!theme.name)
+        theme.name = cur_themes[cur_key].name;
+
+    for (var ix=0; ix<themes.color_fields.length; ix++) {
+        var key = themes.color_fields[ix].key;
+        theme.colors[key] = $('#color-'+key).val();
+    }
+
+    for (var ix=0; ix<themes.style_fields.length; ix++) {
+        var key = themes.style_fields[ix].key;
+        var checked = $('#check-style-'+key).prop('checked');
+        $('#style-'+key).prop('disabled', !checked);
+        if (checked)
+            theme.styles[key] = $('#style-'+key).val();
+    }
+
+    return theme;
+}
+
+function apply_preview(theme)
+{
+    $('#themecss').text(themes.theme_css(theme));
+}
+
+/* The player has changed a control. Update the preview and send the
+   theme to the app, which applies it to any game windows using it. */
+function evhan_change()
+{
+    if (!cur_key)
+        return;
+
+    var theme;
+    try {
+        theme = themes.check_theme(read_theme());
+    }
+    catch (ex) {
+        return;
+    }
+
+    var oldname = cur_themes[cur_key].name;
+    cur_themes[cur_key] = theme;
+    apply_preview(theme);
+    if (theme.name != oldname)
+        $('#sel-theme option[value="'+cur_key+'"], #sel-base option[value="'+cur_key+'"]').text(theme.name);
+
+    electron.ipcRenderer.send('theme_update', cur_key, theme);
+}
+
+$(document).ready(function() {
+    construct_tables();
+
+    $('#sel-theme').on('change', function() {
+        cur_key = $('#sel-theme').val();
+        show_theme();
+    });
+    $('#input-name').on('change', evhan_change);
+
+    $('#button-new').on('click', function() {
+        electron.ipcRenderer.send('theme_create', $('#sel-base').val());
+    });
+    $('#button-import').on('click', function() {
+        electron.ipcRenderer.send('theme_import');
+    });
+    $('#button-export').on('click', function() {
+        if (cur_key)
+            electron.ipcRenderer.send('theme_export', cur_key);
+    });
+    $('#button-delete').on('click', function() {
+        if (cur_key)
+            electron.ipcRenderer.send('theme_delete', cur_key);
+    });
+});
+
+/* Respond to messages from the app. */
+
+electron.ipcRenderer.on('current-themes', function(ev, arg) {
+    cur_themes = arg.themes;
+    if (arg.select && cur_themes[arg.select])
+        cur_key = arg.select;
+    rebuild();
+});
@@ -0,0 +1,221 @@
+'use strict';
+
+/* Color themes. The built-in themes are CSS classes (SepiaTheme, etc)
+   defined in el-glkote.css, play.css, and zvm.css. A custom theme is a
+   set of colors, which we turn into a stylesheet for the CustomTheme
+   class.
+
+   A custom theme is stored in the prefs (and exported) as a plain
+   object:
+
+     { name: 'Midnight',
+       colors: { background:'#000020', foreground:'#e0e0ff', ... },
+       styles: { emphasized:'#ffe0a0', ... } }
+
+   All the colors fields are required. The styles fields are optional;
+   a Glk style with no color of its own uses the foreground color.
+   Colors are always '#rrggbb' in lowercase, which is what an
+   <input type="color"> wants.
+*/
+
+const builtin_themes = [
+    { key:'light', label:'Light', cssclass:null },
+    { key:'sepia', label:'Sepia', cssclass:'SepiaTheme' },
+    { key:'slate', label:'Slate', cssclass:'SlateTheme' },
+    { key:'dark', label:'Dark', cssclass:'DarkTheme' }
+];
+
+const color_fields = [
+    { key:'background', label:'Background' },
+    { key:'foreground', label:'Text' },
+    { key:'link', label:'Links' },
+    { key:'input', label:'Player input' },
+    { key:'gridbackground', label:'Status line background' },
+    { key:'gridforeground', label:'Status line text' }
+];
+
+/* The Glk styles which can have their own colors. Normal text uses the
+   foreground color, and input text uses the input color, so those two
+   styles aren't listed. */
+const style_fields = [
+    { key:'emphasized', label:'Emphasized' },
+    { key:'preformatted', label:'Preformatted' },
+    { key:'header', label:'Header' },
+    { key:'subheader', label:'Subheader' },
+    { key:'alert', label:'Alert' },
+    { key:'note', label:'Note' },
+    { key:'blockquote', label:'Block quote' },
+    { key:'user1', label:'User 1' },
+    { key:'user2', label:'User 2' }
+];
+
+/* The colors of the built-in themes, as found in el-glkote.css. A new
+   custom theme starts with one of these. */
+const builtin_colors = {
+    light: {
+        background: '#ffffff', foreground: '#000000',
+        link: '#0000ee', input: '#006600',
+        gridbackground: '#eeebdd', gridforeground: '#886644'
+    },
+    sepia: {
+        background: '#f4ede1', foreground: '#000000',
+        link: '#0000ee', input: '#004400',
+        gridbackground: '#fffff4', gridforeground: '#886644'
+    },
+    slate: {
+        background: '#4d4d4f', foreground: '#ffffff',
+        link: '#bbbbff', input: '#ddffdd',
+        gridbackground: '#333333', gridforeground: '#ddddee'
+    },
+    dark: {
+        background: '#000000', foreground: '#fff4ee',
+        link: '#aaaaff', input: '#ccffcc',
+        gridbackground: '#443322', gridforeground: '#dddacc'
+    }
+};
+
+/* Return whether a gamewin_colortheme value refers to a custom theme
+   (rather than a built-in one). */
+function is_custom_key(key)
+{
+    return (typeof(key) == 'string' && key.startsWith('custom:'));
+}
+
+/* Return the CSS class for a built-in theme key, or null for the
+   Light theme (which has no class). */
+function builtin_class(key)
+{
+    for (var ix=0; ix<builtin_themes.length; ix++) {
+        if (builtin_themes[ix].key == key)
+            return builtin_themes[ix].cssclass;
+    }
+    return null;
+}
+
+/* Convert a color string to '#rrggbb' form. Returns null if it isn't
+   a hex color. */
+function normalize_color(val)
+{
+    if (typeof(val) != 'string')
+        return null;
+    val = val.trim().toLowerCase();
+    var match = val.match(/^#([0-9a-f])([0-9a-f])([0-9a-f])$/);
+    if (match)
+        return '#' + match[1] + match[1] + match[2] + match[2] + match[3] + match[3];
+    if (val.match(/^#[0-9a-f]{6}$/))
+        return val;
+    return null;
+}
+
+/* Create a new custom theme. The colors are copied from base, which
+   may be a built-in theme key or another custom theme.
+*/
+function new_theme(name, base)
+{
+    var theme = { name:name, colors:{}, styles:{} };
+
+    if (base && typeof(base) == 'object') {
+        Object.assign(theme.colors, base.colors);
+        Object.assign(theme.styles, base.styles);
+    }
+    else {
+        Object.assign(theme.colors, builtin_colors[base] || builtin_colors.light);
+    }
+
+    return theme;
+}
+
+/* Check a theme object (perhaps read from an imported file) and return
+   a clean copy of it, containing only the fields we know about.
+   Throws an exception if it isn't a usable theme.
+*/
+function check_theme(obj)
+{
+    if (!obj || typeof(obj) != 'object')
+        throw new Error('This is not a color theme.');
+    if (!obj.colors || typeof(obj.colors) != 'object')
+        throw new Error('This color theme has no colors.');
+
+    var name = (typeof(obj.name) == 'string') ? obj.name.trim() : '';
+    var theme = { name:(name || 'Untitled Theme'), colors:{}, styles:{} };
+
+    for (var ix=0; ix<color_fields.length; ix++) {
+        var key = color_fields[ix].key;
+        var val = normalize_color(obj.colors[key]);
+        if (!val)
+            throw new Error('This color theme has no valid ' + key + ' color.');
+        theme.colors[key] = val;
+    }
+
+    if (obj.styles && typeof(obj.styles) == 'object') {
+        for (var ix=0; ix<style_fields.length; ix++) {
+            var key = style_fields[ix].key;
+            if (obj.styles[key] === undefined || obj.styles[key] === null)
+                continue;
+            var val = normalize_color(obj.styles[key]);
+            if (!val)
+                throw new Error('This color theme has an invalid ' + key + ' style color.');
+            theme.styles[key] = val;
+        }
+    }
+
+    return theme;
+}
+
+/* Return the stylesheet text for a custom theme in a game window. This
+   covers the same ground as the theme rules in el-glkote.css, play.css,
+   and zvm.css.
+
+   The theme has been through check_theme(), so the colors are safe to
+   paste into CSS.
+*/
+function theme_css(theme)
+{
+    var colors = theme.colors;
+    var ls = [];
+
+    ls.push('body.CustomTheme, .CustomTheme #content, .CustomTheme .WindowFrame { background: ' + colors.background + '; color: ' + colors.foreground + '; }');
+    ls.push('.CustomTheme .GridWindow { background: ' + colors.gridbackground + '; color: ' + colors.gridforeground + '; }');
+    ls.push('.CustomTheme a { color: ' + colors.link + '; }');
+    ls.push('.CustomTheme .Input, .CustomTheme .Style_input { color: ' + colors.input + '; }');
+    ls.push('.CustomTheme .MorePrompt { background: ' + colors.foreground + '; color: ' + colors.background + '; }');
+    ls.push('.CustomTheme #searchbar { background: ' + colors.gridbackground + '; border-color: ' + colors.gridforeground + '; }');
+    ls.push('.CustomTheme ::-webkit-scrollbar-thumb { background: ' + colors.gridbackground + '; }');
+
+    for (var ix=0; ix<style_fields.length; ix++) {
+        var key = style_fields[ix].key;
+        if (theme.styles && theme.styles[key])
+            ls.push('.CustomTheme .Style_' + key + ' { color: ' + theme.styles[key] + '; }');
+    }
+
+    /* The CSS variables which zvm.css uses for Z-machine colors. */
+    ls.push('.CustomTheme { --main-bg-color: ' + colors.background + '; --main-fg-color: ' + colors.foreground + '; --grid-bg-color: ' + colors.gridbackground + '; --grid-fg-color: ' + colors.gridforeground + '; --reverse-bg-color: ' + colors.foreground + '; --reverse-fg-color: ' + colors.background + '; --grid-pad-color: ' + colors.gridbackground + '; }');
+
+    return ls.join('\n') + '\n';
+}
+
+/* Return the stylesheet text for a custom theme in the search bar,
+   which lives in a shadow DOM and so doesn't see theme_css(). This
+   matches the theme rules in searchbar_styles in apphooks.js.
+*/
+function searchbar_css(theme)
+{
+    var colors = theme.colors;
+    var ls = [];
+
+    ls.push('.CustomTheme input { background: ' + colors.background + '; color: ' + colors.foreground + '; border: 1px solid ' + colors.gridforeground + '; }');
+    ls.push('.CustomTheme button { background: ' + colors.gridbackground + '; color: ' + colors.gridforeground + '; border: 1px solid ' + colors.gridforeground + '; }');
+
+    return ls.join('\n') + '\n';
+}
+
+exports.builtin_themes = builtin_themes;
+exports.color_fields = color_fields;
+exports.style_fields = style_fields;
+exports.is_custom_key = is_custom_key;
+exports.builtin_class = builtin_class;
+exports.normalize_color = normalize_color;
+exports.new_theme = new_theme;
+exports.check_theme = check_theme;
+exports.theme_css = theme_css;
+exports.searchbar_css = searchbar_css;
@@ -0,0 +1,274 @@
+'use strict';
+
+/* Font files which the player has imported. These live in a "fonts"
+   directory under the app's userData directory. The app scans that
+   directory and sends the list to the game and prefs windows, which
+   register each file with an @font-face rule. The font's family name
+   then appears in the font menus.
+
+   We accept TrueType (.ttf), OpenType (.otf), and WOFF (.woff) files.
+   We read the family name, weight, and style out of the font's own
+   tables, so that the regular, bold, and italic files of a family all
+   turn into one menu entry.
+*/
+
+const fs = require('fs');
+const path_mod = require('path');
+const zlib = require('zlib');
+
+const font_extensions = [ 'ttf', 'otf', 'woff' ];
+
+/* Read the tables of a font file. Returns an object mapping table tags
+   to Buffers (only for the tables in wanttags), or null if this isn't
+   a font file we understand.
+*/
+function font_tables(buf, wanttags)
+{
+    var res = {};
+
+    if (buf.length < 12)
+        return null;
+    var sig = buf.toString('latin1', 0, 4);
+
+    if (sig == 'wOFF') {
+        /* WOFF: a header, then a directory of possibly-compressed
+           tables. */
+        if (buf.length < 44)
+            return null;
+        var numtables = buf.readUInt16BE(12);
+        for (var ix=0; ix<numtables; ix++) {
+            var pos = 44 + 20*ix;
+            if (pos+20 > buf.length)
+                return null;
+            var tag = buf.toString('latin1', pos, pos+4);
+            if (wanttags.indexOf(tag) < 0)
+                continue;
+            var offset = buf.readUInt32BE(pos+4);
+            var complen = buf.readUInt32BE(pos+8);
+            var origlen = buf.readUInt32BE(pos+12);
+            if (offset+complen > buf.length)
+                return null;
+            var dat = buf.slice(offset, offset+complen);
+            if (complen < origlen)
+                dat = zlib.inflateSync(dat);
+            res[tag] = dat;
+        }
+        return res;
+    }
+
+    if (sig == '\x00\x01\x00\x00' || sig == 'OTTO' || sig == 'true') {
+        /* Plain sfnt: TrueType or OpenType. */
+        var numtables = buf.readUInt16BE(4);
+        for (var ix=0; ix<numtables; ix++) {
+            var pos = 12 + 16*ix;
+            if (pos+16 > buf.length)
+                return null;
+            var tag = buf.toString('latin1', pos, pos+4);
+            if (wanttags.indexOf(tag) < 0)
+                continue;
+            var offset = buf.readUInt32BE(pos+8);
+            var len = buf.readUInt32BE(pos+12);
+            if (offset+len > buf.length)
+                return null;
+            res[tag] = buf.slice(offset, offset+len);
+        }
+        return res;
+    }
+
+    return null;
+}
+
+/* Read the strings of a font's name table. Returns an object mapping
+   name IDs to strings. Windows (and Unicode) names are preferred over
+   Mac names, and US English over other languages.
+*/
+function parse_name_table(buf)
+{
+    var res = {};
+    var rank = {};
+
+    if (buf.length < 6)
+        return res;
+    var count = buf.readUInt16BE(2);
+    var stroffset = buf.readUInt16BE(4);
+
+    for (var ix=0; ix<count; ix++) {
+        var pos = 6 + 12*ix;
+        if (pos+12 > buf.length)
+            break;
+        var platform = buf.readUInt16BE(pos);
+        var encoding = buf.readUInt16BE(pos+2);
+        var language = buf.readUInt16BE(pos+4);
+        var nameid = buf.readUInt16BE(pos+6);
+        var len = buf.readUInt16BE(pos+8);
+        var start = stroffset + buf.readUInt16BE(pos+10);
+        if (start+len > buf.length)
+            continue;
+
+        var val, score;
+        if (platform == 3 || platform == 0) {
+            /* UTF-16BE. Swap the bytes so that Node can decode it. */
+            var dat = Buffer.from(buf.slice(start, start + (len & ~1)));
+            dat.swap16();
+            val = dat.toString('utf16le');
+            score = ((platform == 3 && language == 0x409) ? 3 : 2);
+        }
+        else if (platform == 1 && encoding == 0) {
+            /* Mac Roman; close enough to Latin-1 for font names. */
+            val = buf.toString('latin1', start, start+len);
+            score = ((language == 0) ? 1 : 0);
+        }
+        else {
+            continue;
+        }
+
+        if (rank[nameid] === undefined || score > rank[nameid]) {
+            res[nameid] = val;
+            rank[nameid] = score;
+        }
+    }
+
+    return res;
+}
+
+/* Clean up a family name for use in CSS (and in the prefs). Font files
+   can contain anything, so we remove the characters which are
+   dangerous in CSS: quotes, backslashes, curly braces, and the like.
+*/
+function clean_family(val)
+{
+    if (!val)
+        return '';
+    val = val.replace(/[\x00-\x1F"'\\{}<>;]/g, '');
+    return val.trim().slice(0, 64);
+}
+
+/* Read the family name, weight, and style of a font file. Returns
+   { family, weight, style } or null if it isn't a usable font.
+*/
+function read_font_info(path)
+{
+    var tables;
+    try {
+        var buf = fs.readFileSync(path);
+        tables = font_tables(buf, [ 'name', 'OS/2' ]);
+    }
+    catch (ex) {
+        return null;
+    }
+    if (!tables || !tables.name)
+        return null;
+
+    var names = parse_name_table(tables.name);
+    /* Name ID 16 is the typographic family, which groups more weights
+       than the legacy family (ID 1). */
+    var family = clean_family(names[16] || names[1]);
+    if (!family)
+        return null;
+
+    var weight = 400;
+    var style = 'normal';
+    var os2 = tables['OS/2'];
+    if (os2 && os2.length >= 64) {
+        weight = os2.readUInt16BE(4) || 400;
+        if (os2.readUInt16BE(62) & 0x01)
+            style = 'italic';
+    }
+
+    return { family:family, weight:weight, style:style };
+}
+
+/* Return whether a filename looks like a font file we accept. */
+function is_font_filename(filename)
+{
+    var suffix = path_mod.extname(filename).toLowerCase().slice(1);
+    return (font_extensions.indexOf(suffix) >= 0);
+}
+
+/* Scan the fonts directory. Returns a list of
+   { path, family, weight, style }, one per usable font file. A
+   missing directory just means no fonts.
+*/
+function scan_fonts(dir)
+{
+    var ls = [];
+    var filenames;
+    try {
+        filenames = fs.readdirSync(dir);
+    }
+    catch (ex) {
+        return ls;
+    }
+
+    filenames.sort();
+    for (var ix=0; ix<filenames.length; ix++) {
+        if (!is_font_filename(filenames[ix]))
+            continue;
+        var path = path_mod.join(dir, filenames[ix]);
+        var info = read_font_info(path);
+        if (!info)
+            continue;
+        ls.push({ path:path, family:info.family, weight:info.weight, style:info.style });
+    }
+    return ls;
+}
+
+/* Return the sorted, distinct family names in a list of fonts. */
+function font_families(fontlist)
+{
+    var ls = [];
+    for (var ix=0; ix<fontlist.length; ix++) {
+        if (ls.indexOf(fontlist[ix].family) < 0)
+            ls.push(fontlist[ix].family);
+    }
+    ls.sort((a, b) => a.localeCompare(b));
+    return ls;
+}
+
+/* Convert a pathname to a file: URL which is safe to quote in CSS. */
+function file_url(path)
+{
+    var ls = path.replace(/\\/g, '/').split('/');
+    ls = ls.map(function(seg) {
+        if (seg.match(/^[A-Za-z]:$/))
+            return seg; /* Windows drive letter */
+        return encodeURIComponent(seg).replace(/[!'()*]/g, ch => ('%' + ch.charCodeAt(0).toString(16).toUpperCase()));
+    });
+    var val = ls.join('/');
+    if (!val.startsWith('/'))
+        val = '/' + val;
+    return 'file://' + val;
+}
+
+const format_names = {
+    ttf: 'truetype',
+    otf: 'opentype',
+    woff: 'woff'
+};
+
+/* Return the @font-face rules for a list of fonts (as returned by
+   scan_fonts()). */
+function font_face_css(fontlist)
+{
+    var ls = [];
+    for (var ix=0; ix<fontlist.length; ix++) {
+        var font = fontlist[ix];
+        var suffix = path_mod.extname(font.path).toLowerCase().slice(1);
+        var weight = Math.round(Number(font.weight)) || 400;
+        var style = ((font.style == 'italic') ? 'italic' : 'normal');
+        ls.push('@font-face {\n'
+            + '  font-family: "' + clean_family(font.family) + '";\n'
+            + '  font-weight: ' + weight + ';\n'
+            + '  font-style: ' + style + ';\n'
+            + '  src: url("' + file_url(font.path) + '") format("' + (format_names[suffix] || 'truetype') + '");\n'
+            + '}\n');
+    }
+    return ls.join('\n');
+}
+
+exports.font_extensions = font_extensions;
+exports.clean_family = clean_family;
+exports.read_font_info = read_font_info;
+exports.scan_fonts = scan_fonts;
+exports.font_families = font_families;
+exports.font_face_css = font_face_css;